@@ -0,0 +1,511 @@
+// MindFlow - Accessibility (keyboard focus, screen-reader text, menus)
+// Cards use a roving tabindex: only one card is in the Tab order (the
+// selected one, else the last one focused) and the arrow keys move between
+// cards. Each card is labelled with its text and described by its links.
+// Menus and card toolbars (T from a card) work with the arrow keys, Enter
+// and Escape, and additions, deletions and undo are read out through a
+// live region.
+
+const NODE_ROLE_NAMES = { text: 'note', image: 'image', frame: 'frame' };
+const MENU_ITEM_SELECTOR = '.menu-item:not(.disabled), .menu-chip, .color-swatch';
+const MENU_CHOICE_KEYS = ['routing', 'arrow', 'dash', 'route', 'color']; // data-* of one-of-several chips
+
+let rovingNodeId = null;
+let focusFromPointer = false; // Clicks select cards themselves
+let menuReturnFocus = null; // Where focus goes when a menu closes
+let linkSourceId = null; // Card a keyboard link starts from
+
+// ---------------------------
+// Announcements
+// ---------------------------
+function announce(message) {
+    const region = document.getElementById('a11y-announcer');
+    if (!region || !message) return;
+    region.textContent = '';
+    // Set after a beat so the same message twice is read twice
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// "a note", "3 notes"; parts joined as "a note and 2 links"
+function formatCounts(counts) {
+    const parts = Object.entries(counts).map(([word, n]) => (n === 1 ? `a ${word}` : `${n} ${word}s`));
+    if (parts.length <= 1) return parts.join('');
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function getChangeNoun(change) {
+    if (change.kind === 'connection') return 'link';
+    if (change.kind === 'task') return 'task';
+    const record = change.after || change.before;
+    return NODE_ROLE_NAMES[record.type] || 'note';
+}
+
+// Read out what a new history step created or deleted; moves and edits
+// are left quiet
+function announceHistoryChanges(changes) {
+    const added = {};
+    const deleted = {};
+    changes.forEach(change => {
+        const counts = change.before === null ? added : (change.after === null ? deleted : null);
+        if (!counts) return;
+        const noun = getChangeNoun(change);
+        counts[noun] = (counts[noun] || 0) + 1;
+    });
+
+    const sentences = [];
+    if (Object.keys(added).length) sentences.push(`Added ${formatCounts(added)}.`);
+    if (Object.keys(deleted).length) sentences.push(`Deleted ${formatCounts(deleted)}.`);
+    if (sentences.length) announce(sentences.join(' '));
+}
+
+// ---------------------------
+// Card Semantics
+// ---------------------------
+function getNodeAccessibleName(node) {
+    if (node.type === 'image') return node.alt ? `Image: ${node.alt}` : 'Image';
+    if (node.type === 'frame') return (node.content || '').trim() || 'Untitled frame';
+    return getNodeLabel(node);
+}
+
+function formatList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// "Links to B and C. Linked from A. In frame Ideas."
+function describeNode(node, links, lookup) {
+    const sentences = [];
+    const { to, from } = links.get(node.id) || { to: [], from: [] };
+    const name = (conn, id) => getNodeAccessibleName(lookup(id) || { content: '' }) + (conn.label ? ` (${conn.label})` : '');
+
+    if (node.type === 'frame') {
+        sentences.push(`${getFrameMemberLabel(node)}${node.collapsed ? ', collapsed' : ''}.`);
+    } else {
+        if (to.length) sentences.push(`Links to ${formatList(to.map(c => name(c, c.to)))}.`);
+        if (from.length) sentences.push(`Linked from ${formatList(from.map(c => name(c, c.from)))}.`);
+        if (!to.length && !from.length) sentences.push('No links.');
+    }
+
+    const frame = node.frameId ? lookup(node.frameId) : null;
+    if (isFrame(frame)) sentences.push(`In frame ${getNodeAccessibleName(frame)}.`);
+    return sentences.join(' ');
+}
+
+// Links of every card, or only of the cards in `ids`
+function getLinkMap(ids = null) {
+    const links = new Map();
+    const entry = (id) => {
+        if (!links.has(id)) links.set(id, { to: [], from: [] });
+        return links.get(id);
+    };
+    state.connections.forEach(c => {
+        if (!ids || ids.has(c.from)) entry(c.from).to.push(c);
+        if (!ids || ids.has(c.to)) entry(c.to).from.push(c);
+    });
+    return links;
+}
+
+function applyNodeSemantics(div, node, links, lookup) {
+    div.setAttribute('role', 'group');
+    div.setAttribute('aria-roledescription', NODE_ROLE_NAMES[node.type] || 'note');
+    div.setAttribute('aria-label', getNodeAccessibleName(node));
+
+    let description = div.querySelector(':scope > .node-description');
+    if (!description) {
+        description = document.createElement('span');
+        description.className = 'node-description sr-only';
+        description.id = `${node.id}-description`;
+        div.appendChild(description);
+        div.setAttribute('aria-describedby', description.id);
+    }
+    description.textContent = describeNode(node, links, lookup);
+}
+
+// ---------------------------
+// Roving Tabindex
+// ---------------------------
+function getRovingNodeId() {
+    const hiddenIds = getFrameHiddenIds();
+    const usable = (id) => id && !hiddenIds.has(id) && state.nodes.some(n => n.id === id);
+
+    const selected = [...state.selection].find(usable);
+    if (selected && !state.selection.has(rovingNodeId)) return selected;
+    if (usable(rovingNodeId)) return rovingNodeId;
+
+    // Nothing chosen yet: the first card in reading order
+    const first = state.nodes.filter(n => !hiddenIds.has(n.id)).sort(compareReadingOrder)[0];
+    return first ? first.id : null;
+}
+
+// Labels, descriptions and tab stops for every card (after renderNodes)
+function syncNodeAccessibility() {
+    if (!nodeContainer) return;
+    rovingNodeId = getRovingNodeId();
+    const links = getLinkMap();
+    const lookup = getNodeLookup();
+
+    state.nodes.forEach(node => {
+        const div = document.getElementById(node.id);
+        if (!div) return;
+        applyNodeSemantics(div, node, links, lookup);
+        setNodeTabStop(div, node.id === rovingNodeId);
+    });
+}
+
+// Cards whose text could read differently after `changes` (a history step):
+// the changed cards, both ends of changed links, the cards linked to a
+// changed card (their descriptions name it) and the frames around it
+function getChangedNodeIds(changes) {
+    const ids = new Set();
+    const frameIds = new Set();
+    changes.forEach(change => {
+        [change.before, change.after].forEach(record => {
+            if (!record) return;
+            if (change.kind === 'connection') {
+                ids.add(record.from);
+                ids.add(record.to);
+            } else if (change.kind === 'node') {
+                ids.add(record.id);
+                if (record.frameId) ids.add(record.frameId);
+                if (record.type === 'frame') frameIds.add(record.id);
+            }
+        });
+    });
+    if (ids.size === 0) return ids;
+
+    const changed = new Set(ids);
+    state.connections.forEach(c => {
+        if (changed.has(c.from)) ids.add(c.to);
+        if (changed.has(c.to)) ids.add(c.from);
+    });
+    // A renamed frame is named by its members
+    if (frameIds.size) state.nodes.forEach(n => { if (frameIds.has(n.frameId)) ids.add(n.id); });
+    return ids;
+}
+
+// After a recorded change: only the cards it affects, so typing in a note
+// doesn't relabel the whole board on every keystroke
+function syncChangedNodeAccessibility(changes) {
+    if (!nodeContainer) return;
+    const previousRoving = rovingNodeId;
+    rovingNodeId = getRovingNodeId();
+    const ids = getChangedNodeIds(changes);
+    if (previousRoving !== rovingNodeId) {
+        if (previousRoving) ids.add(previousRoving);
+        if (rovingNodeId) ids.add(rovingNodeId);
+    }
+    if (ids.size === 0) return;
+
+    const links = getLinkMap(ids);
+    const lookup = getNodeLookup();
+    ids.forEach(id => {
+        const div = document.getElementById(id);
+        const node = lookup(id);
+        if (!div || !node) return;
+        applyNodeSemantics(div, node, links, lookup);
+        setNodeTabStop(div, id === rovingNodeId);
+    });
+}
+
+function syncRovingTabindex() {
+    rovingNodeId = getRovingNodeId();
+    nodeContainer.querySelectorAll(':scope > .node').forEach(div => setNodeTabStop(div, div.id === rovingNodeId));
+}
+
+// Text is edited with F2 or a click, so fields stay out of the Tab order;
+// the current card's buttons follow it
+function setNodeTabStop(div, isCurrent) {
+    div.tabIndex = isCurrent ? 0 : -1;
+    div.querySelectorAll('button').forEach(button => { button.tabIndex = isCurrent ? 0 : -1; });
+    div.querySelectorAll('textarea, input').forEach(field => { field.tabIndex = -1; });
+}
+
+function moveFocusToNode(id) {
+    const div = document.getElementById(id);
+    if (!div) return;
+    rovingNodeId = id;
+    syncRovingTabindex();
+    div.classList.remove('culled');
+    div.focus({ preventScroll: true });
+}
+
+// Tabbing onto a card selects it and brings it on screen
+function handleNodeFocus(e) {
+    const div = e.target.closest('.node');
+    if (!div) return;
+    rovingNodeId = div.id;
+    const node = state.nodes.find(n => n.id === div.id);
+    if (node) applyNodeSemantics(div, node, getLinkMap(new Set([div.id])), getNodeLookup());
+
+    if (e.target !== div || focusFromPointer) return;
+    if (!state.selection.has(div.id) || state.selection.size > 1) {
+        state.selection = new Set([div.id]);
+        renderSelection();
+    }
+    revealNode(div.id);
+}
+
+// F2: edit the focused card's text (or a frame's title)
+function editFocusedNode(div) {
+    const field = div.querySelector('textarea, .frame-title');
+    if (!field || state.isReadOnly) return false;
+    field.focus({ preventScroll: true });
+    const end = field.value.length;
+    field.setSelectionRange(end, end);
+    return true;
+}
+
+// ---------------------------
+// Linking From the Keyboard
+// ---------------------------
+// L on a card starts a link; arrows pick the other end, Enter makes it
+function isLinkingFromKeyboard() {
+    return linkSourceId !== null;
+}
+
+function startKeyboardLink(id) {
+    const node = state.nodes.find(n => n.id === id);
+    if (!node || isFrame(node) || state.isReadOnly) return;
+    cancelKeyboardLink(true);
+    linkSourceId = id;
+    document.getElementById(id)?.classList.add('link-source');
+    moveFocusToNode(id);
+    announce(`Linking from ${getNodeAccessibleName(node)}. Use the arrow keys to pick a card, Enter to link, Escape to cancel.`);
+}
+
+function cancelKeyboardLink(quiet) {
+    if (linkSourceId === null) return;
+    document.getElementById(linkSourceId)?.classList.remove('link-source');
+    linkSourceId = null;
+    if (!quiet) announce('Linking cancelled.');
+}
+
+function finishKeyboardLink() {
+    const target = getSoleSelectedNode();
+    const source = state.nodes.find(n => n.id === linkSourceId);
+    if (!target || !source || target.id === source.id || isFrame(target)) {
+        announce('Pick another card to link to.');
+        return;
+    }
+
+    cancelKeyboardLink(true);
+    if (state.connections.some(c => c.from === source.id && c.to === target.id)) {
+        announce(`${getNodeAccessibleName(source)} already links to ${getNodeAccessibleName(target)}.`);
+        return;
+    }
+
+    state.connections.push(createConnection(source.id, target.id));
+    saveData();
+    renderConnections();
+    pushHistory('Connect notes');
+    announce(`Linked ${getNodeAccessibleName(source)} to ${getNodeAccessibleName(target)}.`);
+}
+
+// ---------------------------
+// Menus
+// ---------------------------
+function isShownIn(el, root) {
+    for (let n = el; n && n !== root; n = n.parentElement) {
+        if (n.style.display === 'none' || n.hidden) return false;
+    }
+    return true;
+}
+
+function getOpenMenu() {
+    return Array.from(document.querySelectorAll('.context-menu')).find(menu => menu.style.display !== 'none') || null;
+}
+
+// Roles and checked states, refreshed each time the menu takes focus
+// (items are injected and toggled by the code that opens it)
+function getMenuItems(menu) {
+    const items = Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR)).filter(item => isShownIn(item, menu));
+    items.forEach(item => {
+        item.tabIndex = -1;
+        if (item.classList.contains('menu-toggle')) {
+            item.setAttribute('role', 'menuitemcheckbox');
+            item.setAttribute('aria-checked', String(item.classList.contains('checked')));
+        } else if (MENU_CHOICE_KEYS.some(key => key in item.dataset)) {
+            item.setAttribute('role', 'menuitemradio');
+            item.setAttribute('aria-checked', String(item.classList.contains('active')));
+        } else {
+            item.setAttribute('role', 'menuitem');
+        }
+        if (!item.getAttribute('aria-label') && item.title && !item.textContent.trim()) item.setAttribute('aria-label', item.title);
+    });
+    return items;
+}
+
+function focusMenu(menu, index = 0) {
+    const items = getMenuItems(menu);
+    if (items.length === 0) return;
+    if (!menu.contains(document.activeElement)) menuReturnFocus = document.activeElement;
+    items[(index + items.length) % items.length].focus({ preventScroll: true });
+}
+
+function restoreMenuFocus() {
+    const target = menuReturnFocus;
+    menuReturnFocus = null;
+    if (target && target.isConnected && target !== document.body) target.focus({ preventScroll: true });
+}
+
+function handleMenuKey(e, menu) {
+    const items = getMenuItems(menu);
+    const index = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+            focusMenu(menu, index + 1);
+            return true;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+            focusMenu(menu, index - 1);
+            return true;
+        case 'Home':
+            focusMenu(menu, 0);
+            return true;
+        case 'End':
+            focusMenu(menu, -1);
+            return true;
+        case 'Enter':
+        case ' ':
+            if (index < 0) return false;
+            items[index].click();
+            // Toggles and chips keep the menu open
+            if (menu.style.display === 'none') restoreMenuFocus();
+            else getMenuItems(menu);
+            return true;
+        case 'Escape':
+        case 'Tab':
+            closeContextMenu();
+            restoreMenuFocus();
+            return true;
+    }
+    return false;
+}
+
+// Shift+F10 or the menu key: the menu for whatever has focus
+function openMenuFromKeyboard() {
+    const focused = document.activeElement;
+    const anchor = focused && focused !== document.body
+        ? (focused.closest('.node') || focused.closest('.global-task-item') || focused)
+        : container;
+    if (state.currentView !== 'canvas' && !anchor.closest('.global-task-item')) return false;
+
+    const rect = anchor.getBoundingClientRect();
+    const x = Math.round(Math.max(0, rect.left) + Math.min(rect.width, window.innerWidth) / 2);
+    const y = Math.round(Math.max(0, rect.top) + Math.min(rect.height, window.innerHeight) / 2);
+
+    menuReturnFocus = focused;
+    openContextMenuFor(anchor, x, y);
+    // The browser may follow up with its own contextmenu event
+    state.suppressContextMenuUntil = Date.now() + 500;
+
+    const menu = getOpenMenu();
+    if (menu) focusMenu(menu);
+    return true;
+}
+
+// ---------------------------
+// Toolbars
+// ---------------------------
+function handleToolbarKey(e, toolbar) {
+    const buttons = Array.from(toolbar.querySelectorAll('button'));
+    const index = buttons.indexOf(document.activeElement);
+    let next = null;
+    if (e.key === 'ArrowRight') next = index + 1;
+    else if (e.key === 'ArrowLeft') next = index - 1;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = buttons.length - 1;
+    else if (e.key === 'Escape') {
+        toolbar.closest('.node')?.focus({ preventScroll: true });
+        return true;
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        return true; // Don't let the arrows wander off to other cards
+    }
+    if (next === null) return false;
+    buttons[(next + buttons.length) % buttons.length].focus({ preventScroll: true });
+    return true;
+}
+
+// T on a card: into its toolbar (Tab on a card adds a child)
+function focusNodeToolbar(div) {
+    const button = div.querySelector(':scope > .node-toolbar button');
+    if (!button) return false;
+    button.focus({ preventScroll: true });
+    return true;
+}
+
+// ---------------------------
+// Key Handling
+// ---------------------------
+// Runs before handleKeyDown (capture phase); returns true if it used the key
+function handleAccessibilityKey(e) {
+    const target = e.target;
+    const menu = getOpenMenu();
+
+    if (menu && menu.contains(target)) return handleMenuKey(e, menu);
+    if (menu && e.key === 'ArrowDown' && target.tagName !== 'TEXTAREA' && target.tagName !== 'INPUT') {
+        focusMenu(menu);
+        return true;
+    }
+
+    if ((e.key === 'F10' && e.shiftKey) || e.key === 'ContextMenu') return openMenuFromKeyboard();
+
+    const toolbar = target.closest && target.closest('.node-toolbar');
+    if (toolbar) return handleToolbarKey(e, toolbar);
+
+    if (state.currentView !== 'canvas' || target.tagName === 'TEXTAREA' || target.tagName === 'INPUT') return false;
+    if (e.metaKey || e.ctrlKey || e.altKey) return false;
+
+    if (isLinkingFromKeyboard()) {
+        if (e.key === 'Escape') {
+            cancelKeyboardLink();
+            return true;
+        }
+        if (e.key === 'Enter') {
+            finishKeyboardLink();
+            return true;
+        }
+        if (e.key === 'Tab') return true; // No new cards mid-link
+        return false;
+    }
+
+    const nodeEl = target.classList && target.classList.contains('node') ? target : null;
+    if (!nodeEl) return false;
+
+    if (e.key === 'F2') return editFocusedNode(nodeEl);
+    if (e.key.toLowerCase() === 't' && !e.shiftKey) return focusNodeToolbar(nodeEl);
+    if (e.key.toLowerCase() === 'l' && !e.shiftKey) {
+        startKeyboardLink(nodeEl.id);
+        return true;
+    }
+    // Esc clears the selection, after which Tab leaves the map
+    if (e.key === 'Escape' && state.selection.size > 0) {
+        state.selection.clear();
+        renderSelection();
+        announce('Selection cleared. Press Tab to leave the map.');
+        return true;
+    }
+    return false;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.addEventListener('keydown', (e) => {
+        focusFromPointer = false;
+        if (handleAccessibilityKey(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }, true);
+    window.addEventListener('pointerdown', () => { focusFromPointer = true; }, true);
+
+    nodeContainer.addEventListener('focusin', handleNodeFocus);
+
+    // Focusing an off-screen card would scroll the canvas box itself;
+    // the viewport pans instead (revealNode)
+    container.addEventListener('scroll', () => {
+        container.scrollTop = 0;
+        container.scrollLeft = 0;
+    });
+});
@@ -0,0 +1,295 @@
+// MindFlow - Snapping, Alignment Guides, Align & Distribute
+// While cards are dragged, the edges and center of the moving group snap
+// to the edges and centers of the cards around it, and a guide line shows
+// each match. Where nothing lines up, the group snaps to the 40px grid if
+// grid snapping is on. Holding Alt turns both off for that drag.
+// Align, distribute and size matching act on the selection; each is one
+// undo step.
+
+const GRID_SIZE = 40; // Matches the dotted background (see updateTransform)
+const SNAP_GRID_KEY = 'mindflow_snap_grid';
+const GUIDE_THRESHOLD = 6; // Screen px within which edges snap together
+
+let snapToGrid = localStorage.getItem(SNAP_GRID_KEY) === 'on';
+
+const ALIGN_LABELS = {
+    left: 'Align left',
+    center: 'Align center',
+    right: 'Align right',
+    top: 'Align top',
+    middle: 'Align middle',
+    bottom: 'Align bottom'
+};
+
+function setSnapToGrid(enabled) {
+    snapToGrid = enabled;
+    localStorage.setItem(SNAP_GRID_KEY, enabled ? 'on' : 'off');
+}
+
+function snapToGridValue(value) {
+    return Math.round(value / GRID_SIZE) * GRID_SIZE;
+}
+
+// Resize: widths and heights in whole grid cells (never below `min`)
+function snapSize(value, min, free) {
+    if (!snapToGrid || free) return value;
+    return Math.max(min, snapToGridValue(value));
+}
+
+// ---------------------------
+// Drag Snapping & Guides
+// ---------------------------
+function getRectLines(r) {
+    return {
+        x: [r.x, r.x + r.width / 2, r.x + r.width],
+        y: [r.y, r.y + r.height / 2, r.y + r.height]
+    };
+}
+
+// Called when a drag starts: remember the moving group's box and the
+// cards on screen it can line up with
+function beginDragSnap(movingIds) {
+    const hiddenIds = getFrameHiddenIds();
+    const moving = state.nodes.filter(n => movingIds.has(n.id) && !hiddenIds.has(n.id)).map(getRestingRect);
+    if (moving.length === 0) {
+        state.drag.snap = null;
+        return;
+    }
+
+    const left = Math.min(...moving.map(r => r.x));
+    const top = Math.min(...moving.map(r => r.y));
+    const right = Math.max(...moving.map(r => r.x + r.width));
+    const bottom = Math.max(...moving.map(r => r.y + r.height));
+
+    syncSpatialIndex();
+    const targets = queryNodesInRect(getCullingRect())
+        .filter(n => !movingIds.has(n.id) && !hiddenIds.has(n.id))
+        .map(getRestingRect);
+
+    state.drag.snap = {
+        box: { x: left, y: top, width: right - left, height: bottom - top },
+        targets: targets
+    };
+}
+
+// Closest match on one axis: { delta, at } or null
+function findGuideMatch(lines, targets, axis, threshold) {
+    let best = null;
+    targets.forEach(target => {
+        getRectLines(target)[axis].forEach(at => {
+            lines.forEach(line => {
+                const delta = at - line;
+                if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { delta, at };
+                }
+            });
+        });
+    });
+    return best;
+}
+
+// Adjust a drag offset so the group lines up; draws the guides.
+// Returns the offset to apply.
+function snapDragOffset(dx, dy, free) {
+    const snap = state.drag.snap;
+    clearAlignmentGuides();
+    if (!snap || free) return { x: dx, y: dy };
+
+    const box = { ...snap.box, x: snap.box.x + dx, y: snap.box.y + dy };
+    const lines = getRectLines(box);
+    const threshold = GUIDE_THRESHOLD / state.view.scale;
+
+    const matchX = findGuideMatch(lines.x, snap.targets, 'x', threshold);
+    const matchY = findGuideMatch(lines.y, snap.targets, 'y', threshold);
+
+    let offsetX = dx;
+    let offsetY = dy;
+    if (matchX) offsetX += matchX.delta;
+    else if (snapToGrid) offsetX += snapToGridValue(box.x) - box.x;
+    if (matchY) offsetY += matchY.delta;
+    else if (snapToGrid) offsetY += snapToGridValue(box.y) - box.y;
+
+    drawAlignmentGuides({ ...snap.box, x: snap.box.x + offsetX, y: snap.box.y + offsetY }, snap.targets);
+    return { x: offsetX, y: offsetY };
+}
+
+function endDragSnap() {
+    state.drag.snap = null;
+    clearAlignmentGuides();
+}
+
+// A line for every edge or center the box now shares with a target,
+// spanning both of them
+function drawAlignmentGuides(box, targets) {
+    const boxLines = getRectLines(box);
+    const width = 1 / state.view.scale;
+
+    targets.forEach(target => {
+        const targetLines = getRectLines(target);
+        boxLines.x.forEach(x => {
+            if (!targetLines.x.some(t => Math.abs(t - x) < 0.5)) return;
+            addAlignmentGuide(x, Math.min(box.y, target.y), x, Math.max(box.y + box.height, target.y + target.height), width);
+        });
+        boxLines.y.forEach(y => {
+            if (!targetLines.y.some(t => Math.abs(t - y) < 0.5)) return;
+            addAlignmentGuide(Math.min(box.x, target.x), y, Math.max(box.x + box.width, target.x + target.width), y, width);
+        });
+    });
+}
+
+function addAlignmentGuide(x1, y1, x2, y2, width) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('class', 'alignment-guide');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke-width', width);
+    tempLayer.appendChild(line);
+}
+
+function clearAlignmentGuides() {
+    tempLayer.querySelectorAll('.alignment-guide').forEach(line => line.remove());
+}
+
+// ---------------------------
+// Align / Distribute / Match Size
+// ---------------------------
+// Selected cards whose frame isn't selected as well, minus hidden ones
+function getArrangeTargets() {
+    const hiddenIds = getFrameHiddenIds();
+    return getTopLevelSelection()
+        .map(id => state.nodes.find(n => n.id === id))
+        .filter(n => n && !hiddenIds.has(n.id));
+}
+
+// Move a card's resting position; a frame takes its members along
+function moveNodeTo(node, x, y) {
+    const dx = Math.round(x) - (node.targetX ?? node.x);
+    const dy = Math.round(y) - (node.targetY ?? node.y);
+    if (dx === 0 && dy === 0) return;
+
+    const moving = isFrame(node) ? [node, ...getFrameDescendants(node.id)] : [node];
+    moving.forEach(n => {
+        n.targetX = (n.targetX ?? n.x) + dx;
+        n.targetY = (n.targetY ?? n.y) + dy;
+    });
+}
+
+function finishArrange(nodes, label) {
+    updateFrameMembership(nodes.map(n => n.id));
+    saveData();
+    renderNodes();
+    renderConnections();
+    pushHistory(label);
+}
+
+function alignSelection(edge) {
+    const nodes = getArrangeTargets();
+    if (nodes.length < 2 || state.isReadOnly) return;
+
+    const rects = nodes.map(getRestingRect);
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+
+    nodes.forEach((node, i) => {
+        const r = rects[i];
+        let x = r.x;
+        let y = r.y;
+        switch (edge) {
+            case 'left': x = left; break;
+            case 'center': x = (left + right) / 2 - r.width / 2; break;
+            case 'right': x = right - r.width; break;
+            case 'top': y = top; break;
+            case 'middle': y = (top + bottom) / 2 - r.height / 2; break;
+            case 'bottom': y = bottom - r.height; break;
+            default: return;
+        }
+        moveNodeTo(node, x, y);
+    });
+    finishArrange(nodes, ALIGN_LABELS[edge]);
+}
+
+// Equal gaps between cards; the outermost two stay put
+function distributeSelection(axis) {
+    const nodes = getArrangeTargets();
+    if (nodes.length < 3 || state.isReadOnly) return;
+
+    const pos = axis === 'horizontal' ? 'x' : 'y';
+    const size = axis === 'horizontal' ? 'width' : 'height';
+    const items = nodes
+        .map(node => ({ node, rect: getRestingRect(node) }))
+        .sort((a, b) => a.rect[pos] - b.rect[pos]);
+
+    const first = items[0].rect;
+    const last = items[items.length - 1].rect;
+    const span = last[pos] + last[size] - first[pos];
+    const occupied = items.reduce((sum, item) => sum + item.rect[size], 0);
+    const gap = (span - occupied) / (items.length - 1);
+
+    let cursor = first[pos];
+    items.forEach(({ node, rect }) => {
+        if (pos === 'x') moveNodeTo(node, cursor, rect.y);
+        else moveNodeTo(node, rect.x, cursor);
+        cursor += rect[size] + gap;
+    });
+    finishArrange(nodes, axis === 'horizontal' ? 'Distribute horizontally' : 'Distribute vertically');
+}
+
+// Give the selection the width and/or height of `referenceId`. Text notes
+// always fit their text, so only their width follows.
+function matchSelectionSize(dimension, referenceId) {
+    const nodes = getArrangeTargets();
+    const reference = nodes.find(n => n.id === referenceId) || nodes[0];
+    if (nodes.length < 2 || !reference || state.isReadOnly) return;
+
+    const size = getNodeSize(reference);
+    nodes.forEach(node => {
+        if (node === reference || (isFrame(node) && node.collapsed)) return;
+        if (dimension !== 'height') node.width = size.width;
+        if (dimension !== 'width' && node.type !== 'text') node.height = size.height;
+    });
+
+    // Text notes take their height from the new width; measure before the
+    // history step so undo and redo restore both
+    nodes.forEach(node => {
+        const el = document.getElementById(node.id);
+        if (node.type !== 'text' || !el) return;
+        el.style.width = `${getNodeSize(node).width}px`;
+        autoResizeNode(el);
+    });
+
+    finishArrange(nodes, dimension === 'size' ? 'Match size' : `Match ${dimension}`);
+}
+
+window.handleAlignAction = function (action) {
+    const referenceId = contextMenuTarget ? contextMenuTarget.id : null;
+    closeContextMenu();
+
+    switch (action) {
+        case 'left':
+        case 'center':
+        case 'right':
+        case 'top':
+        case 'middle':
+        case 'bottom':
+            alignSelection(action);
+            break;
+        case 'distribute-horizontal':
+            distributeSelection('horizontal');
+            break;
+        case 'distribute-vertical':
+            distributeSelection('vertical');
+            break;
+        case 'match-width':
+        case 'match-height':
+        case 'match-size':
+            matchSelectionSize(action.replace('match-', ''), referenceId);
+            break;
+        case 'snap-grid':
+            setSnapToGrid(!snapToGrid);
+            break;
+    }
+};
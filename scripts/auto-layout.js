@@ -0,0 +1,418 @@
+// MindFlow - Automatic Layout (tree, radial, force-directed)
+// Layouts only compute new `targetX/targetY`; animate() glides the cards
+// there. Every run is a single undo step.
+
+const LAYOUT_GAP_X = 80; // Between tree levels (left-to-right) / siblings (top-down)
+const LAYOUT_GAP_Y = 30; // Between siblings (left-to-right) / levels (top-down)
+const LAYOUT_RING_GAP = 60; // Extra space between radial rings
+const FORCE_ITERATIONS = 300;
+const FORCE_GRAVITY = 0.5;
+
+// ---------------------------
+// Graph Helpers
+// ---------------------------
+// Nodes to arrange: the selection when it has 2+ cards, else the board.
+// Frames and the cards hidden in collapsed frames stay where they are.
+function getLayoutScope() {
+    const hiddenIds = getFrameHiddenIds();
+    const nodes = state.nodes.filter(n => !isFrame(n) && !hiddenIds.has(n.id));
+    if (state.selection.size >= 2) {
+        return nodes.filter(n => state.selection.has(n.id));
+    }
+    return nodes;
+}
+
+// Adjacency restricted to the scope; `out`/`in` follow connection direction
+function buildLayoutGraph(nodes) {
+    const ids = new Set(nodes.map(n => n.id));
+    const graph = new Map(nodes.map(n => [n.id, { node: n, out: [], in: [] }]));
+
+    state.connections.forEach(c => {
+        if (!ids.has(c.from) || !ids.has(c.to)) return;
+        graph.get(c.from).out.push(c.to);
+        graph.get(c.to).in.push(c.from);
+    });
+    return graph;
+}
+
+// Layouts work on resting positions, not mid-animation ones
+function getLayoutRect(node) {
+    const { width, height } = getNodeSize(node);
+    return { x: node.targetX ?? node.x, y: node.targetY ?? node.y, width, height };
+}
+
+function getLayoutBounds(nodes) {
+    const rects = nodes.map(getLayoutRect);
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// Spanning forest following connection direction. Roots are cards without
+// incoming links; cycles with no such card start from their busiest card.
+// A card with several parents stays under the first one reached.
+function buildSpanningForest(graph) {
+    const children = new Map([...graph.keys()].map(id => [id, []]));
+    const visited = new Set();
+    const roots = [];
+
+    const grow = (rootId) => {
+        roots.push(rootId);
+        visited.add(rootId);
+        const queue = [rootId];
+        while (queue.length) {
+            const id = queue.shift();
+            graph.get(id).out.forEach(childId => {
+                if (visited.has(childId)) return;
+                visited.add(childId);
+                children.get(id).push(childId);
+                queue.push(childId);
+            });
+        }
+    };
+
+    [...graph.keys()].filter(id => graph.get(id).in.length === 0).forEach(grow);
+
+    while (visited.size < graph.size) {
+        const rest = [...graph.keys()].filter(id => !visited.has(id));
+        rest.sort((a, b) => graph.get(b).out.length - graph.get(a).out.length);
+        grow(rest[0]);
+    }
+
+    return { roots, children };
+}
+
+// ---------------------------
+// Tree Layout
+// ---------------------------
+// `horizontal`: levels run left-to-right, siblings stack top-to-bottom
+function layoutTree(nodes, horizontal) {
+    const graph = buildLayoutGraph(nodes);
+    const { roots, children } = buildSpanningForest(graph);
+    const rect = (id) => getLayoutRect(graph.get(id).node);
+
+    // Main axis runs along the levels, cross axis across siblings
+    const mainSize = (id) => (horizontal ? rect(id).width : rect(id).height);
+    const crossSize = (id) => (horizontal ? rect(id).height : rect(id).width);
+    const mainGap = horizontal ? LAYOUT_GAP_X : LAYOUT_GAP_Y * 2;
+    const crossGap = horizontal ? LAYOUT_GAP_Y : LAYOUT_GAP_X / 2;
+
+    // Each level is as deep as its largest card
+    const depth = new Map();
+    const levelSize = [];
+    const measureDepth = (id, d) => {
+        depth.set(id, d);
+        levelSize[d] = Math.max(levelSize[d] || 0, mainSize(id));
+        children.get(id).forEach(c => measureDepth(c, d + 1));
+    };
+    roots.forEach(r => measureDepth(r, 0));
+
+    const levelOffset = [0];
+    for (let d = 1; d < levelSize.length; d++) {
+        levelOffset[d] = levelOffset[d - 1] + levelSize[d - 1] + mainGap;
+    }
+
+    // Cross-axis span of each subtree
+    const span = new Map();
+    const measureSpan = (id) => {
+        const kids = children.get(id);
+        const kidsSpan = kids.reduce((sum, c) => sum + measureSpan(c), 0) + crossGap * Math.max(kids.length - 1, 0);
+        const total = Math.max(crossSize(id), kidsSpan);
+        span.set(id, total);
+        return total;
+    };
+
+    const positions = new Map();
+    const place = (id, crossStart) => {
+        const kids = children.get(id);
+        const total = span.get(id);
+        const kidsSpan = kids.reduce((sum, c) => sum + span.get(c), 0) + crossGap * Math.max(kids.length - 1, 0);
+
+        // Parent centered on its subtree, children centered under it
+        const cross = crossStart + (total - crossSize(id)) / 2;
+        const main = levelOffset[depth.get(id)];
+        positions.set(id, horizontal ? { x: main, y: cross } : { x: cross, y: main });
+
+        let cursor = crossStart + (total - kidsSpan) / 2;
+        kids.forEach(c => {
+            place(c, cursor);
+            cursor += span.get(c) + crossGap;
+        });
+    };
+
+    let cursor = 0;
+    roots.forEach(r => {
+        measureSpan(r);
+        place(r, cursor);
+        cursor += span.get(r) + crossGap * 2;
+    });
+
+    return positions;
+}
+
+// ---------------------------
+// Radial Layout
+// ---------------------------
+// Root in the middle, rings by link distance (either direction). Each
+// subtree gets an angle proportional to its leaf count.
+function layoutRadial(nodes, rootId) {
+    const graph = buildLayoutGraph(nodes);
+    if (!graph.has(rootId)) rootId = nodes[0].id;
+
+    const neighbours = (id) => [...graph.get(id).out, ...graph.get(id).in];
+    const children = new Map([...graph.keys()].map(id => [id, []]));
+    const depth = new Map([[rootId, 0]]);
+    const queue = [rootId];
+    while (queue.length) {
+        const id = queue.shift();
+        neighbours(id).forEach(n => {
+            if (depth.has(n)) return;
+            depth.set(n, depth.get(id) + 1);
+            children.get(id).push(n);
+            queue.push(n);
+        });
+    }
+
+    // Cards not linked to the root form one extra outer ring
+    const unreached = [...graph.keys()].filter(id => !depth.has(id));
+    const maxDepth = Math.max(...depth.values());
+    unreached.forEach(id => {
+        depth.set(id, maxDepth + 1);
+        children.get(rootId).push(id);
+    });
+
+    const diagonal = (id) => {
+        const r = getLayoutRect(graph.get(id).node);
+        return Math.hypot(r.width, r.height);
+    };
+
+    const leaves = new Map();
+    const countLeaves = (id) => {
+        const kids = children.get(id);
+        const total = kids.length ? kids.reduce((sum, c) => sum + countLeaves(c), 0) : 1;
+        leaves.set(id, total);
+        return total;
+    };
+    countLeaves(rootId);
+
+    const wedges = new Map();
+    const split = (id, start, end) => {
+        wedges.set(id, { start, end });
+        let cursor = start;
+        children.get(id).forEach(c => {
+            const share = (end - start) * leaves.get(c) / leaves.get(id);
+            split(c, cursor, cursor + share);
+            cursor += share;
+        });
+    };
+    split(rootId, 0, Math.PI * 2);
+
+    // Ring radius: one step past the previous ring, and far enough out that
+    // every card's wedge is at least as wide as the card
+    const rings = [];
+    depth.forEach((d, id) => {
+        const { start, end } = wedges.get(id);
+        if (!rings[d]) rings[d] = { maxSize: 0, fit: 0 };
+        rings[d].maxSize = Math.max(rings[d].maxSize, diagonal(id));
+        rings[d].fit = Math.max(rings[d].fit, (diagonal(id) + LAYOUT_GAP_Y) / (end - start));
+    });
+    const radius = [0];
+    for (let d = 1; d < rings.length; d++) {
+        const step = (rings[d - 1].maxSize + rings[d].maxSize) / 2 + LAYOUT_RING_GAP;
+        radius[d] = Math.max(radius[d - 1] + step, rings[d].fit);
+    }
+
+    const centers = new Map();
+    depth.forEach((d, id) => {
+        const { start, end } = wedges.get(id);
+        const angle = (start + end) / 2;
+        centers.set(id, { x: Math.cos(angle) * radius[d], y: Math.sin(angle) * radius[d] });
+    });
+
+    return centersToPositions(graph, centers);
+}
+
+// ---------------------------
+// Force-Directed Layout
+// ---------------------------
+// Fruchterman-Reingold on card centers, then a pass that pushes apart
+// any cards still overlapping. Starts from the current arrangement.
+function layoutForce(nodes) {
+    const graph = buildLayoutGraph(nodes);
+    const ids = [...graph.keys()];
+    const rects = new Map(ids.map(id => [id, getLayoutRect(graph.get(id).node)]));
+
+    const pos = new Map(ids.map((id, i) => {
+        const r = rects.get(id);
+        // Tiny deterministic jitter separates cards stacked on the same spot
+        return [id, { x: r.x + r.width / 2 + (i % 7), y: r.y + r.height / 2 + (i % 5) }];
+    }));
+
+    const center = {
+        x: [...pos.values()].reduce((sum, p) => sum + p.x, 0) / ids.length,
+        y: [...pos.values()].reduce((sum, p) => sum + p.y, 0) / ids.length
+    };
+
+    const avgSize = ids.reduce((sum, id) => sum + Math.hypot(rects.get(id).width, rects.get(id).height), 0) / ids.length;
+    const k = avgSize + LAYOUT_GAP_X; // Ideal edge length
+    let temperature = k * 2;
+
+    for (let iter = 0; iter < FORCE_ITERATIONS; iter++) {
+        const disp = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const a = pos.get(ids[i]), b = pos.get(ids[j]);
+                const dx = a.x - b.x, dy = a.y - b.y;
+                const dist = Math.max(Math.hypot(dx, dy), 1);
+                const force = (k * k) / dist;
+                disp.get(ids[i]).x += dx / dist * force;
+                disp.get(ids[i]).y += dy / dist * force;
+                disp.get(ids[j]).x -= dx / dist * force;
+                disp.get(ids[j]).y -= dy / dist * force;
+            }
+        }
+
+        graph.forEach((entry, id) => {
+            entry.out.forEach(to => {
+                const a = pos.get(id), b = pos.get(to);
+                const dx = a.x - b.x, dy = a.y - b.y;
+                const dist = Math.max(Math.hypot(dx, dy), 1);
+                const force = (dist * dist) / k;
+                disp.get(id).x -= dx / dist * force;
+                disp.get(id).y -= dy / dist * force;
+                disp.get(to).x += dx / dist * force;
+                disp.get(to).y += dy / dist * force;
+            });
+        });
+
+        // Gentle pull to the middle keeps unlinked groups from drifting off
+        ids.forEach(id => {
+            const p = pos.get(id);
+            disp.get(id).x -= (p.x - center.x) * FORCE_GRAVITY;
+            disp.get(id).y -= (p.y - center.y) * FORCE_GRAVITY;
+        });
+
+        ids.forEach(id => {
+            const d = disp.get(id);
+            const len = Math.max(Math.hypot(d.x, d.y), 0.01);
+            const step = Math.min(len, temperature);
+            pos.get(id).x += d.x / len * step;
+            pos.get(id).y += d.y / len * step;
+        });
+
+        temperature *= 0.98;
+    }
+
+    removeOverlaps(ids, pos, rects);
+    return centersToPositions(graph, pos);
+}
+
+// Push overlapping cards apart along the axis that needs the least movement
+function removeOverlaps(ids, centers, rects) {
+    const pad = LAYOUT_GAP_Y;
+    for (let pass = 0; pass < 50; pass++) {
+        let moved = false;
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const a = centers.get(ids[i]), b = centers.get(ids[j]);
+                const ra = rects.get(ids[i]), rb = rects.get(ids[j]);
+                const overlapX = (ra.width + rb.width) / 2 + pad - Math.abs(a.x - b.x);
+                const overlapY = (ra.height + rb.height) / 2 + pad - Math.abs(a.y - b.y);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                moved = true;
+                if (overlapX < overlapY) {
+                    const shift = (a.x < b.x ? -overlapX : overlapX) / 2;
+                    a.x += shift;
+                    b.x -= shift;
+                } else {
+                    const shift = (a.y < b.y ? -overlapY : overlapY) / 2;
+                    a.y += shift;
+                    b.y -= shift;
+                }
+            }
+        }
+        if (!moved) break;
+    }
+}
+
+function centersToPositions(graph, centers) {
+    const positions = new Map();
+    centers.forEach((c, id) => {
+        const r = getLayoutRect(graph.get(id).node);
+        positions.set(id, { x: c.x - r.width / 2, y: c.y - r.height / 2 });
+    });
+    return positions;
+}
+
+// ---------------------------
+// Apply
+// ---------------------------
+// kind: 'tree-lr' | 'tree-tb' | 'radial' | 'force'
+function applyLayout(kind, rootId) {
+    if (state.isReadOnly) return;
+    const nodes = getLayoutScope();
+    if (nodes.length < 2) return;
+
+    const root = nodes.find(n => n.id === rootId) || nodes.find(n => n.id === pickLayoutRoot(nodes));
+
+    let positions;
+    switch (kind) {
+        case 'tree-lr': positions = layoutTree(nodes, true); break;
+        case 'tree-tb': positions = layoutTree(nodes, false); break;
+        case 'radial': positions = layoutRadial(nodes, root.id); break;
+        case 'force': positions = layoutForce(nodes); break;
+        default: return;
+    }
+
+    // Keep the arrangement where it was: trees keep their top-left corner,
+    // radial keeps the root in place, force keeps the overall center
+    const before = getLayoutBounds(nodes);
+    let offset;
+    if (kind === 'radial') {
+        const r = getLayoutRect(root);
+        const p = positions.get(root.id);
+        offset = { x: r.x - p.x, y: r.y - p.y };
+    } else {
+        const placed = nodes.map(n => [positions.get(n.id), getLayoutRect(n)]);
+        const left = Math.min(...placed.map(([p]) => p.x));
+        const top = Math.min(...placed.map(([p]) => p.y));
+        if (kind === 'force') {
+            const right = Math.max(...placed.map(([p, r]) => p.x + r.width));
+            const bottom = Math.max(...placed.map(([p, r]) => p.y + r.height));
+            offset = {
+                x: before.x + before.width / 2 - (left + right) / 2,
+                y: before.y + before.height / 2 - (top + bottom) / 2
+            };
+        } else {
+            offset = { x: before.x - left, y: before.y - top };
+        }
+    }
+
+    nodes.forEach(n => {
+        const p = positions.get(n.id);
+        n.targetX = Math.round(p.x + offset.x);
+        n.targetY = Math.round(p.y + offset.y);
+    });
+
+    // Cards belong to whichever frame they end up in
+    updateFrameMembership(nodes.map(n => n.id));
+    saveData();
+    renderNodes();
+    pushHistory('Auto layout');
+}
+
+// Default radial center: the best-connected card in the scope
+function pickLayoutRoot(nodes) {
+    const graph = buildLayoutGraph(nodes);
+    let best = nodes[0].id;
+    graph.forEach((entry, id) => {
+        const degree = entry.out.length + entry.in.length;
+        const bestEntry = graph.get(best);
+        if (degree > bestEntry.out.length + bestEntry.in.length) best = id;
+    });
+    return best;
+}
@@ -0,0 +1,340 @@
+// MindFlow - Connection Routing
+// Every route is a list of cubic segments `[p0, c1, c2, p3]`, so curved,
+// straight and elbow lines share one drawing and hit-testing path
+// (getCubicBezierPoint) for labels and disconnect buttons.
+
+const ROUTE_STYLES = ['bezier', 'straight', 'elbow'];
+const ROUTE_STUB = 20; // Elbow lines leave a card straight for this long
+const ROUTE_MARGIN = 16; // Clearance kept around cards when avoiding them
+const ROUTE_CORNER = 12; // Corner radius on detours of curved lines
+const ROUTE_BEND_COST = 40; // Detours prefer fewer bends over shorter length
+const ROUTE_SEARCH_PAD = 200; // Cards this close to a connection's ends can block it
+
+const routeCache = new Map(); // Connection id -> { key, route }
+
+// ---------------------------
+// Settings
+// ---------------------------
+// Board default: `board.routing` and `board.avoidNodes`
+function getBoardRouting() {
+    const board = getActiveBoard();
+    return {
+        style: board && ROUTE_STYLES.includes(board.routing) ? board.routing : 'bezier',
+        avoid: Boolean(board && board.avoidNodes)
+    };
+}
+
+// A connection's `route` overrides the board unless it is 'board'
+function getRouteStyle(conn, routing) {
+    return ROUTE_STYLES.includes(conn.route) ? conn.route : routing.style;
+}
+
+// ---------------------------
+// Segment Helpers
+// ---------------------------
+function lerpPoint(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+function lineSegment(a, b) {
+    return [a, lerpPoint(a, b, 1 / 3), lerpPoint(a, b, 2 / 3), b];
+}
+
+// Drop repeated and collinear points so corners are real bends
+function simplifyPolyline(points) {
+    const out = [];
+    points.forEach(pt => {
+        const last = out[out.length - 1];
+        if (last && Math.abs(last.x - pt.x) < 0.5 && Math.abs(last.y - pt.y) < 0.5) return;
+        const prev = out[out.length - 2];
+        if (prev && last) {
+            const cross = (last.x - prev.x) * (pt.y - prev.y) - (last.y - prev.y) * (pt.x - prev.x);
+            if (Math.abs(cross) < 0.5) out.pop();
+        }
+        out.push(pt);
+    });
+    return out;
+}
+
+// Straight pieces between points, optionally rounding every corner
+function polylineToSegments(points, radius) {
+    const segments = [];
+    let from = points[0];
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const corner = points[i];
+        const next = points[i + 1];
+        const r = Math.min(radius,
+            Math.hypot(corner.x - from.x, corner.y - from.y) / 2,
+            Math.hypot(next.x - corner.x, next.y - corner.y) / 2);
+
+        if (r < 1) {
+            segments.push(lineSegment(from, corner));
+            from = corner;
+            continue;
+        }
+
+        const inDist = Math.hypot(corner.x - from.x, corner.y - from.y);
+        const outDist = Math.hypot(next.x - corner.x, next.y - corner.y);
+        const a = lerpPoint(corner, from, r / inDist);
+        const b = lerpPoint(corner, next, r / outDist);
+
+        segments.push(lineSegment(from, a));
+        segments.push([a, lerpPoint(a, corner, 0.55), lerpPoint(b, corner, 0.55), b]);
+        from = b;
+    }
+
+    segments.push(lineSegment(from, points[points.length - 1]));
+    return segments;
+}
+
+function getRoutePath(segments) {
+    const [first] = segments;
+    return `M ${first[0].x} ${first[0].y} ` +
+        segments.map(([, c1, c2, p]) => `C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${p.x} ${p.y}`).join(' ');
+}
+
+// Point roughly `distance` px along the route from its start (or end)
+function getPointAlongRoute(segments, distance, fromEnd) {
+    const ordered = fromEnd ? segments.slice().reverse() : segments;
+    let prev = fromEnd ? ordered[0][3] : ordered[0][0];
+    let travelled = 0;
+
+    for (const seg of ordered) {
+        for (let i = 1; i <= 20; i++) {
+            const t = fromEnd ? 1 - i / 20 : i / 20;
+            const pt = getCubicBezierPoint(t, ...seg);
+            travelled += Math.hypot(pt.x - prev.x, pt.y - prev.y);
+            if (travelled >= distance) return pt;
+            prev = pt;
+        }
+    }
+    return prev;
+}
+
+function getRouteLength(segments) {
+    let length = 0;
+    segments.forEach(seg => {
+        let prev = seg[0];
+        for (let i = 1; i <= 20; i++) {
+            const pt = getCubicBezierPoint(i / 20, ...seg);
+            length += Math.hypot(pt.x - prev.x, pt.y - prev.y);
+            prev = pt;
+        }
+    });
+    return length;
+}
+
+function getRouteMidpoint(segments) {
+    return getPointAlongRoute(segments, getRouteLength(segments) / 2, false);
+}
+
+// ---------------------------
+// Route Shapes
+// ---------------------------
+function isHorizontalSide(side) {
+    return side === 'left' || side === 'right';
+}
+
+function getElbowPoints(p1, side1, p2, side2) {
+    const s = getAnchorControlPoint(p1, side1, ROUTE_STUB);
+    const e = getAnchorControlPoint(p2, side2, ROUTE_STUB);
+    let middle;
+
+    if (isHorizontalSide(side1) && isHorizontalSide(side2)) {
+        const mx = (s.x + e.x) / 2;
+        middle = [{ x: mx, y: s.y }, { x: mx, y: e.y }];
+    } else if (!isHorizontalSide(side1) && !isHorizontalSide(side2)) {
+        const my = (s.y + e.y) / 2;
+        middle = [{ x: s.x, y: my }, { x: e.x, y: my }];
+    } else if (isHorizontalSide(side1)) {
+        middle = [{ x: e.x, y: s.y }];
+    } else {
+        middle = [{ x: s.x, y: e.y }];
+    }
+
+    return simplifyPolyline([p1, s, ...middle, e, p2]);
+}
+
+function buildStyledRoute(style, geometry) {
+    const { p1, cp1, cp2, p2, fromSide, toSide } = geometry;
+    if (style === 'straight') return [lineSegment(p1, p2)];
+    if (style === 'elbow') return polylineToSegments(getElbowPoints(p1, fromSide, p2, toSide), 0);
+    return [[p1, cp1, cp2, p2]];
+}
+
+// ---------------------------
+// Obstacle Avoidance
+// ---------------------------
+function getObstacleRect(node) {
+    const { width, height } = getNodeSize(node);
+    return {
+        left: node.x - ROUTE_MARGIN,
+        top: node.y - ROUTE_MARGIN,
+        right: node.x + width + ROUTE_MARGIN,
+        bottom: node.y + height + ROUTE_MARGIN
+    };
+}
+
+function isInsideRect(pt, r) {
+    return pt.x > r.left && pt.x < r.right && pt.y > r.top && pt.y < r.bottom;
+}
+
+function isRouteBlocked(segments, rects) {
+    return segments.some(seg => {
+        for (let i = 1; i < 16; i++) {
+            const pt = getCubicBezierPoint(i / 16, ...seg);
+            if (rects.some(r => isInsideRect(pt, r))) return true;
+        }
+        return false;
+    });
+}
+
+// Axis-aligned segment passes through a rect's interior
+function crossesRect(a, b, r) {
+    if (a.y === b.y) {
+        return a.y > r.top && a.y < r.bottom && Math.max(a.x, b.x) > r.left && Math.min(a.x, b.x) < r.right;
+    }
+    return a.x > r.left && a.x < r.right && Math.max(a.y, b.y) > r.top && Math.min(a.y, b.y) < r.bottom;
+}
+
+// Open set for findDetour: a binary min-heap on `f`
+function heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].f <= heap[i].f) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) return top;
+
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+        if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+    }
+    return top;
+}
+
+// Orthogonal detour between the two stubs on a sparse grid made from the
+// obstacle edges. A* with a bend penalty; returns null if boxed in.
+function findDetour(p1, side1, p2, side2, rects) {
+    const s = getAnchorControlPoint(p1, side1, ROUTE_STUB);
+    const e = getAnchorControlPoint(p2, side2, ROUTE_STUB);
+
+    const uniq = (values) => [...new Set(values.map(v => Math.round(v)))].sort((a, b) => a - b);
+    const xs = uniq([s.x, e.x, (s.x + e.x) / 2, ...rects.flatMap(r => [r.left, r.right])]);
+    const ys = uniq([s.y, e.y, (s.y + e.y) / 2, ...rects.flatMap(r => [r.top, r.bottom])]);
+    const key = (xi, yi) => yi * xs.length + xi;
+    const blocked = (pt) => rects.some(r => isInsideRect(pt, r));
+
+    const startX = xs.indexOf(Math.round(s.x)), startY = ys.indexOf(Math.round(s.y));
+    const endX = xs.indexOf(Math.round(e.x)), endY = ys.indexOf(Math.round(e.y));
+    const startDir = isHorizontalSide(side1) ? 'h' : 'v';
+
+    const open = [{ xi: startX, yi: startY, dir: startDir, g: 0, f: 0, prev: null }];
+    const best = new Map();
+
+    while (open.length) {
+        const cur = heapPop(open);
+        if (cur.xi === endX && cur.yi === endY) {
+            const points = [];
+            for (let n = cur; n; n = n.prev) points.unshift({ x: xs[n.xi], y: ys[n.yi] });
+            return simplifyPolyline([p1, s, ...points.slice(1, -1), e, p2]);
+        }
+
+        const stateKey = `${key(cur.xi, cur.yi)}${cur.dir}`;
+        if (best.has(stateKey) && best.get(stateKey) <= cur.g) continue;
+        best.set(stateKey, cur.g);
+
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+            const xi = cur.xi + dx, yi = cur.yi + dy;
+            if (xi < 0 || yi < 0 || xi >= xs.length || yi >= ys.length) return;
+
+            const a = { x: xs[cur.xi], y: ys[cur.yi] };
+            const b = { x: xs[xi], y: ys[yi] };
+            if (blocked(b) || rects.some(r => crossesRect(a, b, r))) return;
+
+            const dir = dx ? 'h' : 'v';
+            const g = cur.g + Math.abs(b.x - a.x) + Math.abs(b.y - a.y) + (dir !== cur.dir ? ROUTE_BEND_COST : 0);
+            const h = Math.abs(xs[endX] - b.x) + Math.abs(ys[endY] - b.y);
+            heapPush(open, { xi, yi, dir, g, f: g + h, prev: cur });
+        });
+    }
+    return null;
+}
+
+// Cards that can block the line between n1 and n2: those near either end.
+// Frames are backdrops, and cards in a collapsed frame aren't drawn.
+function getRouteObstacles(n1, n2) {
+    const size1 = getNodeSize(n1);
+    const size2 = getNodeSize(n2);
+    const box = {
+        left: Math.min(n1.x, n2.x) - ROUTE_SEARCH_PAD,
+        top: Math.min(n1.y, n2.y) - ROUTE_SEARCH_PAD,
+        right: Math.max(n1.x + size1.width, n2.x + size2.width) + ROUTE_SEARCH_PAD,
+        bottom: Math.max(n1.y + size1.height, n2.y + size2.height) + ROUTE_SEARCH_PAD
+    };
+    return queryNodesInRect(box)
+        .filter(n => n.id !== n1.id && n.id !== n2.id && !isFrame(n) && !isHiddenByFrame(n, getIndexedNode));
+}
+
+// ---------------------------
+// Entry Point
+// ---------------------------
+// Returns { segments, fromSide, toSide } for a connection between two nodes.
+// Expects the spatial index to be in sync (renderConnections does that).
+function routeConnection(conn, n1, n2, routing, obstacles = null) {
+    const style = getRouteStyle(conn, routing);
+    const geometry = getConnectionGeometry(conn, n1, n2);
+    const route = {
+        segments: buildStyledRoute(style, geometry),
+        fromSide: geometry.fromSide,
+        toSide: geometry.toSide
+    };
+    if (!routing.avoid) return route;
+
+    // Only cards near the line matter; keeps the grid small
+    const others = (obstacles || getRouteObstacles(n1, n2)).map(getObstacleRect);
+    if (others.length === 0 || !isRouteBlocked(route.segments, others)) return route;
+
+    // The detour may not cut back through its own cards either
+    const detour = findDetour(geometry.p1, geometry.fromSide, geometry.p2, geometry.toSide,
+        [...others, getObstacleRect(n1), getObstacleRect(n2)]);
+    if (detour) route.segments = polylineToSegments(detour, style === 'bezier' ? ROUTE_CORNER : 0);
+    return route;
+}
+
+// Routing every frame while nodes glide is costly with avoidance on, so
+// routes are reused until the ends or a card near them moves
+function getCachedRoute(conn, n1, n2, routing) {
+    const rect = (n) => {
+        const { width, height } = getNodeSize(n);
+        return `${n.x},${n.y},${width},${height}`;
+    };
+    const obstacles = routing.avoid ? getRouteObstacles(n1, n2) : [];
+    const key = [rect(n1), rect(n2), conn.route, conn.fromSide, conn.toSide,
+        routing.style, routing.avoid, obstacles.map(n => `${n.id}:${rect(n)}`).join(';')].join('|');
+
+    const cached = routeCache.get(conn.id);
+    if (cached && cached.key === key) return cached.route;
+
+    const route = routeConnection(conn, n1, n2, routing, obstacles);
+    routeCache.set(conn.id, { key, route });
+    if (routeCache.size > state.connections.length * 2 + 50) routeCache.clear();
+    return route;
+}
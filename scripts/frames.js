@@ -0,0 +1,322 @@
+// MindFlow - Frames (titled regions that group notes)
+// A frame is a node of type 'frame', drawn behind the cards. Members point
+// at their frame with `frameId`, and frames nest the same way. Dropping a
+// card inside a frame makes it a member; dragging a frame moves its members
+// along (through their targetX/targetY, like any drag). A collapsed frame
+// shrinks to a chip and hides its members; their connections end at the
+// chip. The title is the frame's `content`, so search and exports treat it
+// like note text.
+
+const FRAME_CHIP_SIZE = { width: 220, height: 44 };
+const FRAME_PADDING = 40; // Around the cards when framing a selection
+const FRAME_HEADER_HEIGHT = 44; // Extra room above them for the title
+
+function isFrame(node) {
+    return Boolean(node) && node.type === 'frame';
+}
+
+function getNodeLookup() {
+    const byId = new Map(state.nodes.map(n => [n.id, n]));
+    return (id) => byId.get(id) || null;
+}
+
+// ---------------------------
+// Membership
+// ---------------------------
+// Enclosing frames, innermost first. Stops at a missing frame or a loop.
+function getFrameAncestors(node, lookup = getNodeLookup()) {
+    const ancestors = [];
+    const seen = new Set([node.id]);
+    let frame = node.frameId ? lookup(node.frameId) : null;
+    while (isFrame(frame) && !seen.has(frame.id)) {
+        ancestors.push(frame);
+        seen.add(frame.id);
+        frame = frame.frameId ? lookup(frame.frameId) : null;
+    }
+    return ancestors;
+}
+
+function isHiddenByFrame(node, lookup) {
+    return getFrameAncestors(node, lookup).some(frame => frame.collapsed);
+}
+
+// Ids of every card inside a collapsed frame
+function getFrameHiddenIds() {
+    const lookup = getNodeLookup();
+    return new Set(state.nodes.filter(n => isHiddenByFrame(n, lookup)).map(n => n.id));
+}
+
+// What a connection to `node` attaches to: the outermost collapsed frame
+// around it, else the node itself
+function getVisibleEndpoint(node, lookup) {
+    if (!node) return null;
+    const collapsed = getFrameAncestors(node, lookup).filter(frame => frame.collapsed);
+    return collapsed.length ? collapsed[collapsed.length - 1] : node;
+}
+
+// Members of a frame, nested ones included
+function getFrameDescendants(frameId) {
+    const children = new Map();
+    state.nodes.forEach(n => {
+        if (!n.frameId) return;
+        if (!children.has(n.frameId)) children.set(n.frameId, []);
+        children.get(n.frameId).push(n);
+    });
+
+    const found = [];
+    const seen = new Set([frameId]);
+    const queue = [frameId];
+    while (queue.length) {
+        (children.get(queue.shift()) || []).forEach(child => {
+            if (seen.has(child.id)) return;
+            seen.add(child.id);
+            found.push(child);
+            if (isFrame(child)) queue.push(child.id);
+        });
+    }
+    return found;
+}
+
+// `ids` plus the members of any frame among them
+function expandWithFrameMembers(ids) {
+    const expanded = new Set(ids);
+    state.nodes.forEach(n => {
+        if (isFrame(n) && ids.has(n.id)) getFrameDescendants(n.id).forEach(m => expanded.add(m.id));
+    });
+    return expanded;
+}
+
+// Selected cards whose frame isn't selected too; the rest ride along
+function getTopLevelSelection() {
+    const lookup = getNodeLookup();
+    return [...state.selection].filter(id => {
+        const node = lookup(id);
+        return node && !getFrameAncestors(node, lookup).some(frame => state.selection.has(frame.id));
+    });
+}
+
+// Smallest open frame holding the card's center. A frame can't join
+// itself, its own members, or a frame no bigger than it.
+function findContainingFrame(node, excluded, hiddenIds) {
+    const rect = getRestingRect(node);
+    const cx = rect.x + rect.width / 2;
+    const cy = rect.y + rect.height / 2;
+    const area = rect.width * rect.height;
+
+    let best = null;
+    let bestArea = Infinity;
+    state.nodes.forEach(frame => {
+        if (!isFrame(frame) || frame.collapsed || excluded.has(frame.id) || hiddenIds.has(frame.id)) return;
+        const r = getRestingRect(frame);
+        const frameArea = r.width * r.height;
+        if (frameArea <= area || frameArea >= bestArea) return;
+        if (cx < r.x || cx > r.x + r.width || cy < r.y || cy > r.y + r.height) return;
+        best = frame;
+        bestArea = frameArea;
+    });
+    return best;
+}
+
+// Re-home cards after a drop: into the frame they landed in, or out
+function updateFrameMembership(ids) {
+    const lookup = getNodeLookup();
+    const hiddenIds = getFrameHiddenIds();
+
+    ids.forEach(id => {
+        const node = lookup(id);
+        if (!node || hiddenIds.has(id)) return;
+
+        const excluded = new Set([id]);
+        if (isFrame(node)) getFrameDescendants(id).forEach(m => excluded.add(m.id));
+
+        const frame = findContainingFrame(node, excluded, hiddenIds);
+        if (frame) node.frameId = frame.id;
+        else delete node.frameId;
+    });
+}
+
+// After resizing, cards that are now inside join and ones left outside go
+function updateFrameMembersAfterResize(frame) {
+    syncSpatialIndex();
+    const { width, height } = getNodeSize(frame);
+    const inside = queryNodesInRect({ left: frame.x, top: frame.y, right: frame.x + width, bottom: frame.y + height });
+    const ids = new Set(inside.map(n => n.id));
+    state.nodes.forEach(n => {
+        if (n.frameId === frame.id) ids.add(n.id);
+    });
+    ids.delete(frame.id);
+    updateFrameMembership([...ids]);
+}
+
+// Before deleting frames: their members move up to the nearest surviving frame
+function releaseFrameMembers(ids) {
+    const doomed = new Set(ids);
+    const lookup = getNodeLookup();
+
+    state.nodes.forEach(node => {
+        if (doomed.has(node.id) || !doomed.has(node.frameId)) return;
+        const parent = getFrameAncestors(node, lookup).find(frame => !doomed.has(frame.id));
+        if (parent) node.frameId = parent.id;
+        else delete node.frameId;
+    });
+}
+
+// Frames behind cards, outer frames behind the ones nested in them
+function getNodeStackOrder() {
+    const lookup = getNodeLookup();
+    const frames = state.nodes
+        .filter(isFrame)
+        .map((frame, index) => ({ frame, index, depth: getFrameAncestors(frame, lookup).length }))
+        .sort((a, b) => a.depth - b.depth || a.index - b.index)
+        .map(entry => entry.frame);
+    return [...frames, ...state.nodes.filter(n => !isFrame(n))];
+}
+
+// ---------------------------
+// Actions
+// ---------------------------
+function createFrame(x, y) {
+    if (state.isReadOnly) return;
+    const size = NODE_DEFAULT_SIZES.frame;
+    const frame = {
+        id: 'frame_' + Date.now(),
+        x: x - size.width / 2,
+        y: y - FRAME_HEADER_HEIGHT / 2,
+        width: size.width,
+        height: size.height,
+        content: 'Frame',
+        color: 'white',
+        type: 'frame'
+    };
+    addFrame(frame, 'Add frame');
+}
+
+// Wrap the selected cards in a new frame (Ctrl+G)
+function frameSelection() {
+    if (state.isReadOnly) return;
+    const lookup = getNodeLookup();
+    const members = getTopLevelSelection().map(lookup).filter(Boolean);
+    if (members.length === 0) return;
+
+    const rects = members.map(getRestingRect);
+    const left = Math.min(...rects.map(r => r.x)) - FRAME_PADDING;
+    const top = Math.min(...rects.map(r => r.y)) - FRAME_PADDING - FRAME_HEADER_HEIGHT;
+    const right = Math.max(...rects.map(r => r.x + r.width)) + FRAME_PADDING;
+    const bottom = Math.max(...rects.map(r => r.y + r.height)) + FRAME_PADDING;
+
+    const frame = {
+        id: 'frame_' + Date.now(),
+        x: left,
+        y: top,
+        width: right - left,
+        height: bottom - top,
+        content: 'Frame',
+        color: 'white',
+        type: 'frame'
+    };
+    members.forEach(node => { node.frameId = frame.id; });
+    addFrame(frame, 'Frame notes');
+}
+
+function addFrame(frame, label) {
+    frame.targetX = frame.x;
+    frame.targetY = frame.y;
+    state.nodes.push(frame);
+    updateFrameMembership([frame.id]);
+
+    saveData();
+    selectNode(frame.id);
+    renderConnections();
+    pushHistory(label);
+
+    // Name it right away
+    setTimeout(() => {
+        const title = document.getElementById(frame.id)?.querySelector('.frame-title');
+        if (title) {
+            title.focus();
+            title.select();
+        }
+    }, 50);
+}
+
+function toggleFrameCollapsed(id) {
+    const frame = state.nodes.find(n => n.id === id);
+    if (!isFrame(frame)) return;
+
+    frame.collapsed = !frame.collapsed;
+    if (!frame.collapsed) delete frame.collapsed;
+
+    // Hidden cards can't stay selected
+    const hiddenIds = getFrameHiddenIds();
+    hiddenIds.forEach(hidden => state.selection.delete(hidden));
+
+    saveData();
+    renderNodes();
+    renderConnections();
+    pushHistory(frame.collapsed ? 'Collapse frame' : 'Expand frame');
+}
+
+// Delegated click handler for frame header controls (data-frame-action)
+function handleFrameAction(e) {
+    const button = e.target.closest('[data-frame-action]');
+    const frameEl = button?.closest('.node');
+    if (!frameEl) return;
+
+    if (button.dataset.frameAction === 'toggle-collapse') toggleFrameCollapsed(frameEl.id);
+}
+
+// ---------------------------
+// Rendering
+// ---------------------------
+function getFrameMemberLabel(frame) {
+    const count = getFrameDescendants(frame.id).filter(n => !isFrame(n)).length;
+    return count === 1 ? '1 note' : `${count} notes`;
+}
+
+// Wire up the header of a freshly built frame element
+function bindFrameElement(div, frame) {
+    const title = div.querySelector('.frame-title');
+    title.readOnly = Boolean(state.isReadOnly);
+
+    title.addEventListener('input', () => {
+        const node = state.nodes.find(n => n.id === frame.id);
+        if (!node) return;
+        node.content = title.value;
+        saveData();
+        pushHistory('Rename frame', { coalesce: `title:${frame.id}`, touched: { node: [frame.id] } });
+    });
+    title.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            title.blur();
+        }
+    });
+
+    updateFrameElement(div, frame);
+}
+
+function updateFrameElement(div, frame) {
+    const { height } = getNodeSize(frame);
+    div.style.height = `${height}px`;
+    div.classList.toggle('collapsed', Boolean(frame.collapsed));
+
+    const title = div.querySelector('.frame-title');
+    if (document.activeElement !== title && title.value !== (frame.content || '')) {
+        title.value = frame.content || '';
+    }
+    div.querySelector('.frame-count').textContent = getFrameMemberLabel(frame);
+
+    const toggle = div.querySelector('.btn-frame-collapse');
+    toggle.textContent = frame.collapsed ? '▸' : '▾';
+    toggle.title = frame.collapsed ? 'Expand frame' : 'Collapse frame';
+    toggle.setAttribute('aria-label', toggle.title);
+    toggle.setAttribute('aria-expanded', String(!frame.collapsed));
+}
+
+// Hide the members of collapsed frames (after renderNodes)
+function applyFrameVisibility() {
+    const hiddenIds = getFrameHiddenIds();
+    state.nodes.forEach(node => {
+        document.getElementById(node.id)?.classList.toggle('frame-hidden', hiddenIds.has(node.id));
+    });
+}
@@ -0,0 +1,333 @@
+// MindFlow - History (Undo/Redo)
+// Each step stores only what changed: per node, connection or task a
+// `before` and `after` record (null = didn't exist). Undo applies the
+// befores, redo the afters. pushHistory() finds the changes by diffing
+// against a baseline taken after the previous step, so call sites just
+// mutate state and name the step. Frequent edits (typing, single tasks or
+// connections) also say which ids they touched, so only those are diffed.
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1500; // Keystrokes closer than this share a step
+
+// Task timers keep running across undo; they're tracking, not edits
+const TASK_TIMER_FIELDS = ['timeSpent', 'isRunning', 'lastStartTime'];
+
+let historyBaseline = null; // kind -> Map id -> { json, index }
+
+// ---------------------------
+// Snapshots
+// ---------------------------
+// Resting position only; animation targets aren't part of the document
+function snapshotNode(node) {
+    const { targetX, targetY, ...rest } = node;
+    return { ...rest, x: targetX ?? node.x, y: targetY ?? node.y };
+}
+
+function snapshotTask(task) {
+    const copy = { ...task };
+    TASK_TIMER_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+const HISTORY_KINDS = {
+    node: {
+        get: () => state.nodes,
+        set: (list) => { state.nodes = list; },
+        snapshot: snapshotNode
+    },
+    connection: {
+        get: () => state.connections,
+        set: (list) => { state.connections = list; },
+        snapshot: (conn) => conn
+    },
+    task: {
+        get: () => state.globalTasks,
+        set: (list) => { state.globalTasks = list; },
+        snapshot: snapshotTask
+    }
+};
+
+function captureDocument() {
+    const doc = {};
+    Object.entries(HISTORY_KINDS).forEach(([kind, def]) => {
+        const items = new Map();
+        def.get().forEach((item, index) => {
+            items.set(item.id, { json: JSON.stringify(def.snapshot(item)), index });
+        });
+        doc[kind] = items;
+    });
+    return doc;
+}
+
+// Start diffing from the current state (init, board switch, after undo)
+function resetHistoryBaseline() {
+    historyBaseline = captureDocument();
+}
+
+// Like diffDocument, but only for `touched` ({ node: [ids], ... }); the
+// baseline is brought up to date for those items in place
+function diffTouched(baseline, touched) {
+    const changes = [];
+    Object.entries(touched).forEach(([kind, ids]) => {
+        const def = HISTORY_KINDS[kind];
+        const items = baseline[kind];
+        const list = def.get();
+        const indexes = new Map(list.map((item, index) => [item.id, index]));
+
+        new Set(ids).forEach(id => {
+            const base = items.get(id);
+            const index = indexes.has(id) ? indexes.get(id) : -1;
+            const json = index >= 0 ? JSON.stringify(def.snapshot(list[index])) : null;
+            if (base ? base.json === json : json === null) return;
+
+            changes.push({
+                kind, id,
+                before: base ? JSON.parse(base.json) : null,
+                after: json === null ? null : JSON.parse(json),
+                beforeIndex: base ? base.index : -1,
+                afterIndex: index
+            });
+            if (json === null) items.delete(id);
+            else items.set(id, { json, index });
+        });
+
+        // Adding or removing shifts the rest; positions are cheap to refresh
+        if (changes.some(c => c.kind === kind && (c.before === null || c.after === null))) {
+            items.forEach((entry, id) => { entry.index = indexes.get(id); });
+        }
+    });
+    return changes;
+}
+
+// { kind, id, before, after, beforeIndex, afterIndex } for every item that
+// differs from the baseline
+function diffDocument(from, to) {
+    const changes = [];
+    Object.keys(HISTORY_KINDS).forEach(kind => {
+        to[kind].forEach((current, id) => {
+            const base = from[kind].get(id);
+            if (base && base.json === current.json) return;
+            changes.push({
+                kind, id,
+                before: base ? JSON.parse(base.json) : null,
+                after: JSON.parse(current.json),
+                beforeIndex: base ? base.index : -1,
+                afterIndex: current.index
+            });
+        });
+        from[kind].forEach((base, id) => {
+            if (to[kind].has(id)) return;
+            changes.push({
+                kind, id,
+                before: JSON.parse(base.json),
+                after: null,
+                beforeIndex: base.index,
+                afterIndex: -1
+            });
+        });
+    });
+    return changes;
+}
+
+// ---------------------------
+// Recording
+// ---------------------------
+// Record everything changed since the last step as one labelled step.
+// Steps pushed with the same `coalesce` key in quick succession (typing)
+// are merged into one. `touched` ({ node: [ids], connection: [ids],
+// task: [ids] }) limits the diff to those items; only pass it when
+// nothing else changed.
+function pushHistory(label = 'Edit', options = {}) {
+    if (!historyBaseline) {
+        historyBaseline = captureDocument();
+        return;
+    }
+
+    let changes;
+    if (options.touched) {
+        changes = diffTouched(historyBaseline, options.touched);
+    } else {
+        const current = captureDocument();
+        changes = diffDocument(historyBaseline, current);
+        historyBaseline = current;
+    }
+    if (changes.length === 0) return;
+
+    // If we are in the middle of the stack, truncate future
+    if (state.historyIndex < state.history.length - 1) {
+        state.history = state.history.slice(0, state.historyIndex + 1);
+    }
+
+    const now = Date.now();
+    const last = state.history[state.historyIndex];
+    if (options.coalesce && last && last.coalesce === options.coalesce && now - last.time < HISTORY_COALESCE_MS) {
+        mergeChanges(last, changes);
+        last.time = now;
+    } else {
+        state.history.push({ label, changes, time: now, coalesce: options.coalesce || null });
+        state.historyIndex++;
+        announceHistoryChanges(changes);
+    }
+
+    if (state.history.length > HISTORY_LIMIT) {
+        state.history.shift();
+        state.historyIndex--;
+    }
+    renderHistoryPanel();
+    syncChangedNodeAccessibility(changes);
+}
+
+// Fold later changes into a step, keeping its original `before`s
+function mergeChanges(step, changes) {
+    changes.forEach(change => {
+        const existing = step.changes.find(c => c.kind === change.kind && c.id === change.id);
+        if (!existing) {
+            step.changes.push(change);
+            return;
+        }
+        existing.after = change.after;
+        existing.afterIndex = change.afterIndex;
+    });
+    step.changes = step.changes.filter(c => c.before !== null || c.after !== null);
+}
+
+// ---------------------------
+// Undo / Redo
+// ---------------------------
+function undo() {
+    if (state.historyIndex < 0) return;
+    const step = state.history[state.historyIndex];
+    applyHistoryStep(step, 'before');
+    state.historyIndex--;
+    afterHistoryChange();
+    announce(`Undone: ${step.label}`);
+}
+
+function redo() {
+    if (state.historyIndex >= state.history.length - 1) return;
+    state.historyIndex++;
+    const step = state.history[state.historyIndex];
+    applyHistoryStep(step, 'after');
+    afterHistoryChange();
+    announce(`Redone: ${step.label}`);
+}
+
+// Step back or forward until `index` is the last applied step
+function goToHistoryStep(index) {
+    while (state.historyIndex > index) undo();
+    while (state.historyIndex < index && state.historyIndex < state.history.length - 1) redo();
+}
+
+// Bring each changed item to its `before` or `after` record. The viewport
+// is left alone; moved cards glide to their restored positions.
+function applyHistoryStep(step, side) {
+    const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+
+    Object.entries(HISTORY_KINDS).forEach(([kind, def]) => {
+        const changes = step.changes.filter(c => c.kind === kind);
+        if (changes.length === 0) return;
+
+        const removed = new Set(changes.filter(c => c[side] === null).map(c => c.id));
+        const records = new Map(changes.filter(c => c[side] !== null).map(c => [c.id, c]));
+
+        const list = def.get()
+            .filter(item => !removed.has(item.id))
+            .map(item => {
+                const change = records.get(item.id);
+                if (!change) return item;
+                records.delete(item.id);
+                return restoreRecord(kind, item, change[side]);
+            });
+
+        // Re-insert in ascending index order so each lands where it was
+        Array.from(records.values())
+            .sort((a, b) => a[indexKey] - b[indexKey])
+            .forEach(change => {
+                const at = Math.min(Math.max(change[indexKey], 0), list.length);
+                list.splice(at, 0, restoreRecord(kind, null, change[side]));
+            });
+
+        def.set(list);
+    });
+}
+
+function restoreRecord(kind, current, record) {
+    const copy = JSON.parse(JSON.stringify(record));
+    if (kind === 'node') {
+        copy.targetX = copy.x;
+        copy.targetY = copy.y;
+        if (current) {
+            copy.x = current.x;
+            copy.y = current.y;
+        }
+    } else if (kind === 'task') {
+        const timer = current || { timeSpent: 0, isRunning: false, lastStartTime: null };
+        TASK_TIMER_FIELDS.forEach(field => { copy[field] = timer[field]; });
+    }
+    return copy;
+}
+
+function afterHistoryChange() {
+    // Keep the selection on cards that still exist
+    state.selection.forEach(id => {
+        if (!state.nodes.some(n => n.id === id)) state.selection.delete(id);
+    });
+
+    resetHistoryBaseline();
+    saveData();
+    renderNodes();
+    renderConnections();
+    renderGlobalTasks();
+    refreshNodeTaskBadges();
+    renderHistoryPanel();
+}
+
+// ---------------------------
+// History Panel
+// ---------------------------
+function formatHistoryTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    const panel = document.getElementById('history-panel');
+    if (!list || !panel || panel.style.display === 'none') return;
+
+    list.innerHTML = '';
+    const addRow = (index, label, time) => {
+        const row = document.createElement('div');
+        row.className = 'menu-item history-item';
+        if (index === state.historyIndex) row.classList.add('active');
+        if (index > state.historyIndex) row.classList.add('undone');
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+        if (time) {
+            const when = document.createElement('span');
+            when.className = 'history-time';
+            when.textContent = formatHistoryTime(time);
+            row.appendChild(when);
+        }
+        row.onclick = () => goToHistoryStep(index);
+        list.appendChild(row);
+    };
+
+    addRow(-1, 'Start', null);
+    state.history.forEach((step, i) => addRow(i, step.label, step.time));
+    list.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function openHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+    closeContextMenu();
+    panel.style.display = 'flex';
+    renderHistoryPanel();
+}
+
+function closeHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    if (panel) panel.style.display = 'none';
+}
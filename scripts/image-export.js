@@ -0,0 +1,403 @@
+// MindFlow - Image Export (SVG / PNG)
+// Renders the selection (or the whole board) into a standalone SVG: cards in
+// their current theme colors, wrapped text, embedded images and the same
+// connection routes as on screen. PNGs are rasterized from that SVG, so
+// everything works offline.
+
+const IMAGE_EXPORT_PADDING = 40; // World px around the exported cards
+const IMAGE_EXPORT_MAX_SIDE = 16384; // Canvas limits in most browsers
+const IMAGE_EXPORT_MAX_AREA = 16384 * 8192;
+
+let exportTransparent = false;
+
+// ---------------------------
+// Theme
+// ---------------------------
+// Read the live styles of a card in `color`, so dark mode and the CSS
+// palette are respected without duplicating them here
+function readCardTheme(color) {
+    const probe = document.createElement('div');
+    probe.className = `node color-${color || 'white'}`;
+    probe.style.visibility = 'hidden';
+    const text = document.createElement('textarea');
+    text.className = 'node-content';
+    probe.appendChild(text);
+    nodeContainer.appendChild(probe);
+
+    const card = getComputedStyle(probe);
+    const content = getComputedStyle(text);
+    const fontSize = parseFloat(content.fontSize) || 20;
+    const theme = {
+        fill: card.backgroundColor,
+        stroke: card.borderTopColor,
+        radius: parseFloat(card.borderTopLeftRadius) || 0,
+        color: content.color,
+        fontFamily: content.fontFamily || 'cursive',
+        fontSize: fontSize,
+        lineHeight: parseFloat(content.lineHeight) || fontSize * 1.5,
+        padding: parseFloat(content.paddingLeft) || 0
+    };
+    probe.remove();
+    return theme;
+}
+
+function readThemeVar(name, fallback) {
+    return getComputedStyle(document.body).getPropertyValue(name).trim() || fallback;
+}
+
+// ---------------------------
+// Text Layout
+// ---------------------------
+function createTextMeasurer(theme) {
+    const ctx = document.createElement('canvas').getContext?.('2d');
+    if (!ctx) return (text) => text.length * theme.fontSize * 0.5;
+    ctx.font = `${theme.fontSize}px ${theme.fontFamily}`;
+    return (text) => ctx.measureText(text).width;
+}
+
+// Wrap like the textarea: explicit line breaks kept, words that don't fit
+// move down, words longer than a line are broken by character
+function wrapText(text, maxWidth, measure) {
+    const lines = [];
+    (text || '').split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/(\s+)/).forEach(token => {
+            if (!token) return;
+            if (measure(line + token) <= maxWidth) {
+                line += token;
+                return;
+            }
+            if (line.trim()) lines.push(line.trimEnd());
+            line = /^\s+$/.test(token) ? '' : token;
+            while (measure(line) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && measure(line.slice(0, cut)) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line.trimEnd());
+    });
+    return lines;
+}
+
+// ---------------------------
+// SVG
+// ---------------------------
+function svgElement(name, attrs, parent) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) el.setAttribute(key, value);
+    });
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// Selected frames bring their members; cards hidden in collapsed frames
+// are left out. Frames come first so they are drawn behind.
+function getExportScope() {
+    const selected = expandWithFrameMembers(state.selection);
+    const hiddenIds = getFrameHiddenIds();
+    const nodes = getNodeStackOrder().filter(n => !hiddenIds.has(n.id) && (state.selection.size === 0 || selected.has(n.id)));
+    const ids = new Set(nodes.map(n => n.id));
+    return {
+        nodes: nodes,
+        connections: state.connections.filter(c => ids.has(c.from) && ids.has(c.to)),
+        isSelection: state.selection.size > 0
+    };
+}
+
+function getExportBounds(nodes) {
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    nodes.forEach(n => {
+        const { width, height } = getNodeSize(n);
+        left = Math.min(left, n.x);
+        top = Math.min(top, n.y);
+        right = Math.max(right, n.x + width);
+        bottom = Math.max(bottom, n.y + height);
+    });
+    return {
+        x: Math.floor(left - IMAGE_EXPORT_PADDING),
+        y: Math.floor(top - IMAGE_EXPORT_PADDING),
+        width: Math.ceil(right - left + IMAGE_EXPORT_PADDING * 2),
+        height: Math.ceil(bottom - top + IMAGE_EXPORT_PADDING * 2)
+    };
+}
+
+function addExportMarkers(defs, connections, lineColor) {
+    const names = new Set(connections
+        .filter(c => c.arrow && c.arrow !== 'none')
+        .map(c => (c.color && CONNECTION_COLORS[c.color] ? c.color : 'default')));
+
+    names.forEach(name => {
+        const marker = svgElement('marker', {
+            id: `arrow-${name}`,
+            viewBox: '0 0 10 10',
+            refX: 9,
+            refY: 5,
+            markerWidth: 7,
+            markerHeight: 7,
+            orient: 'auto-start-reverse'
+        }, defs);
+        svgElement('path', {
+            d: 'M 0 0 L 10 5 L 0 10 z',
+            fill: name === 'default' ? lineColor : CONNECTION_COLORS[name]
+        }, marker);
+    });
+}
+
+function addExportConnections(svg, connections, colors) {
+    syncSpatialIndex();
+    const routing = getBoardRouting();
+    const group = svgElement('g', { fill: 'none', 'stroke-width': 2 }, svg);
+
+    connections.forEach(conn => {
+        const n1 = getIndexedNode(conn.from);
+        const n2 = getIndexedNode(conn.to);
+        if (!n1 || !n2) return;
+
+        const { segments } = getCachedRoute(conn, n1, n2, routing);
+        const color = conn.color && CONNECTION_COLORS[conn.color] ? conn.color : null;
+        const marker = `url(#arrow-${color || 'default'})`;
+        const dash = CONNECTION_DASHES[conn.dash];
+
+        svgElement('path', {
+            d: getRoutePath(segments).trim(),
+            stroke: color ? CONNECTION_COLORS[color] : colors.line,
+            'stroke-dasharray': dash || null,
+            'stroke-linecap': dash ? 'round' : null,
+            'marker-end': conn.arrow === 'end' || conn.arrow === 'both' ? marker : null,
+            'marker-start': conn.arrow === 'start' || conn.arrow === 'both' ? marker : null
+        }, group);
+
+        if (conn.label) {
+            const mid = getRouteMidpoint(segments);
+            const label = svgElement('text', {
+                x: mid.x,
+                y: mid.y,
+                fill: color ? CONNECTION_COLORS[color] : colors.text,
+                stroke: colors.canvas,
+                'stroke-width': 4,
+                'paint-order': 'stroke',
+                'font-family': colors.font,
+                'font-size': 13,
+                'font-weight': 600,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'middle'
+            }, svg);
+            label.textContent = conn.label;
+        }
+    });
+}
+
+function addExportCard(svg, defs, node, theme, measure, imageURL, colors) {
+    const { width, height } = getNodeSize(node);
+    const clipId = `clip-${node.id.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+    const clip = svgElement('clipPath', { id: clipId }, defs);
+    svgElement('rect', { x: node.x, y: node.y, width, height, rx: theme.radius }, clip);
+
+    const group = svgElement('g', {}, svg);
+
+    if (node.type === 'image') {
+        if (!imageURL) return;
+        svgElement('image', {
+            href: imageURL,
+            x: node.x,
+            y: node.y,
+            width,
+            height,
+            preserveAspectRatio: 'xMidYMid meet',
+            'clip-path': `url(#${clipId})`
+        }, group);
+        if (node.alt) svgElement('title', {}, group).textContent = node.alt;
+        return;
+    }
+
+    // Cards are translucent on screen; back them so they read on any background
+    svgElement('rect', { x: node.x, y: node.y, width, height, rx: theme.radius, fill: colors.surface }, group);
+    svgElement('rect', {
+        x: node.x + 0.5,
+        y: node.y + 0.5,
+        width: width - 1,
+        height: height - 1,
+        rx: theme.radius,
+        fill: theme.fill,
+        stroke: theme.stroke
+    }, group);
+
+    const lines = wrapText(node.content, width - theme.padding * 2, measure);
+    const text = svgElement('text', {
+        'clip-path': `url(#${clipId})`,
+        fill: theme.color,
+        'font-family': theme.fontFamily,
+        'font-size': theme.fontSize
+    }, group);
+    text.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+    // Baseline sits where the textarea's line box puts it
+    const firstBaseline = node.y + theme.padding + (theme.lineHeight + theme.fontSize * 0.7) / 2;
+    lines.forEach((line, i) => {
+        const span = svgElement('tspan', {
+            x: node.x + theme.padding,
+            y: firstBaseline + i * theme.lineHeight
+        }, text);
+        span.textContent = line;
+    });
+}
+
+// Tinted region with its title; a collapsed frame is a solid chip
+function addExportFrame(svg, node, theme, colors) {
+    const { width, height } = getNodeSize(node);
+    const group = svgElement('g', {}, svg);
+
+    svgElement('rect', {
+        x: node.x + 1,
+        y: node.y + 1,
+        width: width - 2,
+        height: height - 2,
+        rx: theme.radius,
+        fill: node.collapsed ? colors.surface : theme.fill,
+        'fill-opacity': node.collapsed ? 1 : 0.35,
+        stroke: theme.stroke,
+        'stroke-width': 2
+    }, group);
+
+    const title = svgElement('text', {
+        x: node.x + 16,
+        y: node.y + 28,
+        fill: colors.text,
+        'font-family': colors.font,
+        'font-size': 15,
+        'font-weight': 600
+    }, group);
+    title.textContent = node.content || '';
+}
+
+// Resolves with { svg: string, width, height, isSelection }
+function buildExportSVG(transparent) {
+    const scope = getExportScope();
+    if (scope.nodes.length === 0) return Promise.resolve(null);
+
+    const colors = {
+        canvas: readThemeVar('--bg-canvas', '#f8fafc'),
+        surface: readThemeVar('--bg-surface', '#ffffff'),
+        line: readThemeVar('--connection-color', '#94a3b8'),
+        text: readThemeVar('--text-main', '#0f172a'),
+        font: readThemeVar('--font-main', 'sans-serif')
+    };
+
+    const imagePromises = scope.nodes.map(n => (n.type === 'image' ? getNodeImageDataURL(n) : Promise.resolve(null)));
+
+    return Promise.all(imagePromises).then(images => {
+        const bounds = getExportBounds(scope.nodes);
+        const svg = svgElement('svg', {
+            width: bounds.width,
+            height: bounds.height,
+            viewBox: `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`
+        });
+        const defs = svgElement('defs', {}, svg);
+
+        if (!transparent) {
+            svgElement('rect', { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, fill: colors.canvas }, svg);
+        }
+
+        const themes = new Map();
+        const measurers = new Map();
+        const getTheme = (color) => {
+            if (!themes.has(color)) {
+                themes.set(color, readCardTheme(color));
+                measurers.set(color, createTextMeasurer(themes.get(color)));
+            }
+            return themes.get(color);
+        };
+
+        scope.nodes.filter(isFrame).forEach(node => addExportFrame(svg, node, getTheme(node.color || 'white'), colors));
+
+        addExportMarkers(defs, scope.connections, colors.line);
+        addExportConnections(svg, scope.connections, colors);
+
+        scope.nodes.forEach((node, i) => {
+            if (isFrame(node)) return;
+            const color = node.color || 'white';
+            addExportCard(svg, defs, node, getTheme(color), measurers.get(color), images[i], colors);
+        });
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+        return { svg: markup, width: bounds.width, height: bounds.height, isSelection: scope.isSelection };
+    });
+}
+
+// ---------------------------
+// PNG
+// ---------------------------
+// Largest scale <= `scale` that the browser can still allocate a canvas for
+function clampExportScale(width, height, scale) {
+    const bySide = IMAGE_EXPORT_MAX_SIDE / Math.max(width, height);
+    const byArea = Math.sqrt(IMAGE_EXPORT_MAX_AREA / (width * height));
+    return Math.min(scale, bySide, byArea);
+}
+
+function rasterizeSVG(markup, width, height, scale) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the PNG.'))), 'image/png');
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The board could not be drawn as an image.'));
+        };
+        img.src = url;
+    });
+}
+
+// ---------------------------
+// Entry Points
+// ---------------------------
+function exportImage(format, scale) {
+    return buildExportSVG(exportTransparent).then(result => {
+        if (!result) {
+            alert('Nothing to export: this board is empty.');
+            return;
+        }
+
+        const name = slugify(getActiveBoard()?.name) + (result.isSelection ? '-selection' : '');
+        if (format === 'svg') {
+            downloadFile(`${name}.svg`, result.svg, 'image/svg+xml');
+            return;
+        }
+
+        const usable = clampExportScale(result.width, result.height, scale);
+        return rasterizeSVG(result.svg, result.width, result.height, usable).then(blob => {
+            downloadFile(`${name}@${scale}x.png`, blob, 'image/png');
+            if (usable < scale) {
+                alert(`This board is too large for ${scale}x; it was exported at ${usable.toFixed(1)}x instead.`);
+            }
+        });
+    }).catch(err => {
+        console.error('MindFlow: image export failed', err);
+        alert(`Export failed: ${err.message}`);
+    });
+}
+
+window.handleImageExport = function (action, value) {
+    closeContextMenu();
+
+    switch (action) {
+        case 'svg':
+            exportImage('svg', 1);
+            break;
+        case 'png':
+            exportImage('png', value || 1);
+            break;
+        case 'transparent':
+            exportTransparent = !exportTransparent;
+            break;
+    }
+};
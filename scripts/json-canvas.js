@@ -0,0 +1,369 @@
+// MindFlow - JSON Canvas (.canvas) Import / Export
+// https://jsoncanvas.org - the open format used by Obsidian Canvas.
+// Text notes map to "text" nodes, image notes to "file" nodes, frames to
+// "group" nodes and connections to edges. Anything MindFlow has no
+// equivalent for (link nodes, files that aren't images, extra fields) is
+// kept in a `canvas` record on the note, connection or board and written
+// back on export, so a file survives a round trip through MindFlow
+// unchanged.
+
+const CANVAS_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Preset colors "1".."6"; cyan has no MindFlow equivalent and becomes blue
+const CANVAS_PRESET_COLORS = {
+    '1': 'red',
+    '2': 'orange',
+    '3': 'yellow',
+    '4': 'green',
+    '5': 'blue',
+    '6': 'purple'
+};
+
+// Fields this module reads into MindFlow fields; everything else is extra
+const CANVAS_NODE_FIELDS = ['id', 'type', 'x', 'y', 'width', 'height', 'color', 'text'];
+const CANVAS_EDGE_FIELDS = ['id', 'fromNode', 'toNode', 'fromSide', 'toSide', 'fromEnd', 'toEnd', 'color', 'label'];
+
+const CANVAS_IMAGE_FILE = /\.(png|jpe?g|gif|webp|svg|avif|bmp)(\?.*)?$/i;
+
+// ---------------------------
+// Colors
+// ---------------------------
+function hexToRGB(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    const value = parseInt(digits, 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Closest palette name to a hex color (plain RGB distance is plenty here)
+function nearestPaletteColor(hex, palette) {
+    const rgb = hexToRGB(hex);
+    if (!rgb) return null;
+
+    let best = null;
+    let bestDistance = Infinity;
+    Object.entries(palette).forEach(([name, value]) => {
+        const [r, g, b] = hexToRGB(value);
+        const distance = (r - rgb[0]) ** 2 + (g - rgb[1]) ** 2 + (b - rgb[2]) ** 2;
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function getNodePalette() {
+    const { pink, ...palette } = CONNECTION_COLORS; // Notes have no pink
+    return { white: '#ffffff', ...palette };
+}
+
+function fromCanvasColor(color, palette) {
+    if (typeof color !== 'string' || !color) return null;
+    if (CANVAS_PRESET_COLORS[color]) return CANVAS_PRESET_COLORS[color];
+    return nearestPaletteColor(color, palette);
+}
+
+// Palette name -> preset number, or hex for the colors without one
+function toCanvasColor(name) {
+    const preset = Object.keys(CANVAS_PRESET_COLORS).find(key => CANVAS_PRESET_COLORS[key] === name);
+    return preset || CONNECTION_COLORS[name] || null;
+}
+
+// The file's own color while the user hasn't changed it, so custom hex
+// colors come back exactly
+function exportCanvasColor(name, extras, palette) {
+    if (extras.color && fromCanvasColor(extras.color, palette) === name) return extras.color;
+    return toCanvasColor(name);
+}
+
+function pickExtras(raw, known) {
+    const extras = {};
+    Object.keys(raw).forEach(key => {
+        if (!known.includes(key)) extras[key] = raw[key];
+    });
+    return extras;
+}
+
+// ---------------------------
+// Export
+// ---------------------------
+function buildCanvasNode(node) {
+    const extras = node.canvas || {};
+    const size = getNodeSize(node);
+    const out = {
+        ...extras,
+        id: extras.id || node.id,
+        type: extras.type || 'text',
+        x: Math.round(node.targetX ?? node.x),
+        y: Math.round(node.targetY ?? node.y),
+        width: Math.round(size.width),
+        // Placeholders grow to fit their text; the original box is what counts
+        height: Math.round(extras.type && isFiniteNum(extras.height) ? extras.height : size.height)
+    };
+    delete out.color;
+    const color = node.color && node.color !== 'white'
+        ? exportCanvasColor(node.color, extras, getNodePalette())
+        : null;
+    if (color) out.color = color;
+
+    if (node.type === 'frame') {
+        out.type = 'group';
+        delete out.label;
+        if (node.content) out.label = node.content;
+        return Promise.resolve(out);
+    }
+
+    if (node.type === 'image') {
+        out.type = 'file';
+        if (extras.file) return Promise.resolve(out);
+        return getNodeImageDataURL(node).then(src => {
+            out.file = src || '';
+            return out;
+        });
+    }
+
+    // Placeholders keep the original node; real text notes write their text
+    if (out.type === 'text') out.text = node.content || '';
+    return Promise.resolve(out);
+}
+
+function buildCanvasEdge(conn, exportIds) {
+    const extras = conn.canvas || {};
+    const out = {
+        ...extras,
+        id: conn.id,
+        fromNode: exportIds.get(conn.from),
+        toNode: exportIds.get(conn.to),
+        fromEnd: conn.arrow === 'start' || conn.arrow === 'both' ? 'arrow' : 'none',
+        toEnd: conn.arrow === 'end' || conn.arrow === 'both' ? 'arrow' : 'none'
+    };
+    ['fromSide', 'toSide', 'color', 'label'].forEach(key => delete out[key]);
+    if (CANVAS_SIDES.includes(conn.fromSide)) out.fromSide = conn.fromSide;
+    if (CANVAS_SIDES.includes(conn.toSide)) out.toSide = conn.toSide;
+    if (conn.color) out.color = exportCanvasColor(conn.color, extras, CONNECTION_COLORS);
+    if (conn.label) out.label = conn.label;
+    return out;
+}
+
+function buildCanvasDocument() {
+    const exportIds = new Map(state.nodes.map(n => [n.id, (n.canvas && n.canvas.id) || n.id]));
+    return Promise.all(state.nodes.map(buildCanvasNode)).then(nodes => ({
+        ...(getActiveBoard()?.canvas || {}),
+        nodes: nodes,
+        edges: state.connections
+            .filter(c => exportIds.has(c.from) && exportIds.has(c.to))
+            .map(c => buildCanvasEdge(c, exportIds))
+    }));
+}
+
+function exportCanvas() {
+    buildCanvasDocument().then(doc => {
+        const name = slugify(getActiveBoard()?.name);
+        downloadFile(`${name}.canvas`, JSON.stringify(doc, null, '\t'), 'application/json');
+    });
+}
+
+// ---------------------------
+// Import
+// ---------------------------
+function isLoadableImage(file) {
+    return /^data:image\//i.test(file) || (/^https:\/\//i.test(file) && CANVAS_IMAGE_FILE.test(file));
+}
+
+function describePlaceholder(raw) {
+    switch (raw.type) {
+        case 'file':
+            return `📄 ${raw.file || 'File'}${raw.subpath || ''}`;
+        case 'link':
+            return `🔗 ${raw.url || 'Link'}`;
+        default:
+            return `[${raw.type || 'unknown'}]`;
+    }
+}
+
+// One canvas node -> MindFlow note, or null if it has no usable position
+function readCanvasNode(raw, takenIds) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    if (!isFiniteNum(raw.x) || !isFiniteNum(raw.y)) return null;
+
+    const extras = pickExtras(raw, CANVAS_NODE_FIELDS);
+    if (typeof raw.color === 'string') extras.color = raw.color;
+
+    // Ids double as element ids; rename on a clash, keeping the original
+    let id = typeof raw.id === 'string' && raw.id ? raw.id : '';
+    const element = id && document.getElementById(id);
+    if (!id || takenIds.has(id) || (element && !element.classList.contains('node'))) {
+        if (id) extras.id = id;
+        id = uniqueNodeId();
+        while (takenIds.has(id)) id = uniqueNodeId() + '_' + takenIds.size;
+    }
+    takenIds.add(id);
+
+    const node = {
+        id: id,
+        x: raw.x,
+        y: raw.y,
+        color: fromCanvasColor(raw.color, getNodePalette()) || 'white',
+        type: 'text',
+        content: ''
+    };
+
+    if (raw.type === 'text') {
+        node.content = typeof raw.text === 'string' ? raw.text : '';
+    } else if (raw.type === 'group') {
+        // Members are worked out from the layout once the board is open
+        node.type = 'frame';
+        node.content = typeof raw.label === 'string' ? raw.label : '';
+        delete extras.label;
+    } else if (raw.type === 'file' && typeof raw.file === 'string' && isLoadableImage(raw.file)) {
+        node.type = 'image';
+        node.src = raw.file;
+        node.alt = raw.file.startsWith('data:') ? '' : raw.file.split('/').pop();
+        // Remote files keep their URL; data URLs are re-read from storage on export
+        if (!raw.file.startsWith('data:')) extras.file = raw.file;
+    } else {
+        // Unsupported: a text placeholder that exports as the original node
+        extras.type = raw.type;
+        if (raw.text !== undefined) extras.text = raw.text;
+        if (isFiniteNum(raw.height)) extras.height = raw.height;
+        node.content = describePlaceholder(raw);
+    }
+
+    const size = NODE_DEFAULT_SIZES[node.type];
+    node.width = isFiniteNum(raw.width) && raw.width > 0 ? raw.width : size.width;
+    node.height = isFiniteNum(raw.height) && raw.height > 0 ? raw.height : size.height;
+    if (Object.keys(extras).length) node.canvas = extras;
+    return node;
+}
+
+function readCanvasEdge(raw, idMap) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const from = idMap.get(raw.fromNode);
+    const to = idMap.get(raw.toNode);
+    if (!from || !to || from === to) return null;
+
+    const start = raw.fromEnd === 'arrow';
+    const end = raw.toEnd !== 'none'; // The spec defaults toEnd to "arrow"
+    const extras = pickExtras(raw, CANVAS_EDGE_FIELDS);
+    if (typeof raw.color === 'string') extras.color = raw.color;
+
+    const conn = createConnection(from, to, {
+        arrow: start && end ? 'both' : start ? 'start' : end ? 'end' : 'none',
+        label: typeof raw.label === 'string' ? raw.label : '',
+        color: fromCanvasColor(raw.color, CONNECTION_COLORS),
+        fromSide: CANVAS_SIDES.includes(raw.fromSide) ? raw.fromSide : 'auto',
+        toSide: CANVAS_SIDES.includes(raw.toSide) ? raw.toSide : 'auto'
+    });
+    if (typeof raw.id === 'string' && raw.id) conn.id = raw.id;
+    if (Object.keys(extras).length) conn.canvas = extras;
+    return conn;
+}
+
+// Parsed .canvas -> { nodes, connections, extras, skipped }
+function readCanvasDocument(doc) {
+    const takenIds = new Set();
+    const idMap = new Map(); // File id -> MindFlow id
+    const nodes = [];
+    const connections = [];
+    let skipped = 0;
+
+    (Array.isArray(doc.nodes) ? doc.nodes : []).forEach(raw => {
+        const node = readCanvasNode(raw, takenIds);
+        if (!node) {
+            skipped++;
+            return;
+        }
+        nodes.push(node);
+        idMap.set(node.canvas?.id || node.id, node.id);
+    });
+
+    const connIds = new Set();
+    (Array.isArray(doc.edges) ? doc.edges : []).forEach(raw => {
+        const conn = readCanvasEdge(raw, idMap);
+        if (!conn) {
+            skipped++;
+            return;
+        }
+        if (connIds.has(conn.id)) conn.id = newConnectionId() + '_' + connIds.size;
+        connIds.add(conn.id);
+        connections.push(conn);
+    });
+
+    const { nodes: _nodes, edges: _edges, ...extras } = doc;
+    return { nodes, connections, extras, skipped };
+}
+
+// A .canvas opens as a new board, at the file's own coordinates
+function applyCanvasImport(doc, name) {
+    const { nodes, connections, extras, skipped } = readCanvasDocument(doc);
+    if (nodes.length === 0) {
+        alert('Import failed: the file has no notes MindFlow can show.');
+        return;
+    }
+
+    internalizeNodeImages(nodes).then(() => {
+        // Put the top-left of the content near the top-left of the screen
+        const left = Math.min(...nodes.map(n => n.x));
+        const top = Math.min(...nodes.map(n => n.y));
+        const view = { x: 80 - left, y: 80 - top, scale: 1 };
+
+        const board = { id: 'board_' + Date.now(), name: name, createdAt: Date.now() };
+        if (Object.keys(extras).length) board.canvas = extras;
+        writeBoard(board.id, nodes, connections, view);
+        state.boards.push(board);
+        saveBoardIndex();
+        switchBoard(board.id);
+
+        // Groups in JSON Canvas hold whatever lies inside them
+        updateFrameMembership(state.nodes.map(n => n.id));
+        saveData();
+        renderNodes();
+        resetHistoryBaseline();
+
+        if (skipped > 0) alert(`Imported with ${skipped} invalid ${skipped === 1 ? 'entry' : 'entries'} skipped.`);
+    });
+}
+
+function importCanvasFile(file) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        let doc;
+        try {
+            doc = JSON.parse(event.target.result);
+        } catch (e) {
+            alert('Import failed: the file is not valid JSON.');
+            return;
+        }
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc) || !Array.isArray(doc.nodes)) {
+            alert('Import failed: the file is not a JSON Canvas document.');
+            return;
+        }
+        applyCanvasImport(doc, file.name.replace(/\.(canvas|json)$/i, '') || 'Imported Canvas');
+    };
+    reader.readAsText(file);
+}
+
+window.handleCanvasFileAction = function (action) {
+    closeContextMenu();
+
+    switch (action) {
+        case 'export':
+            exportCanvas();
+            break;
+        case 'import':
+            document.getElementById('import-canvas-input')?.click();
+            break;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('import-canvas-input');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) importCanvasFile(file);
+        fileInput.value = ''; // Allow re-importing the same file
+    });
+});
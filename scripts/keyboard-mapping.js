@@ -0,0 +1,250 @@
+// MindFlow - Keyboard Mind-Mapping
+// Tab: child to the right, Enter: sibling below, arrows: jump along links
+// (or to the nearest card), Escape: leave text editing. The viewport and
+// keyboard focus follow the selection.
+
+const KEYBOARD_CHILD_GAP = 80; // Horizontal gap between a card and its child
+const KEYBOARD_SIBLING_GAP = 30; // Vertical gap between stacked siblings
+const REVEAL_MARGIN = 80; // Screen px kept between a revealed card and the edge
+
+// Arrow key -> unit direction in world space
+const ARROW_DIRECTIONS = {
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 }
+};
+
+// ---------------------------
+// Helpers
+// ---------------------------
+// The one selected card, if exactly one is selected
+function getSoleSelectedNode() {
+    if (state.selection.size !== 1) return null;
+    const [id] = state.selection;
+    return state.nodes.find(n => n.id === id) || null;
+}
+
+// Resting rect (targets), so rapid key presses see where cards are going
+function getRestingRect(node) {
+    const { width, height } = getNodeSize(node);
+    return { x: node.targetX ?? node.x, y: node.targetY ?? node.y, width, height };
+}
+
+function rectsOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// Slide a new card down until it no longer covers another one
+function findFreeSpot(x, y, width, height) {
+    const rect = { x, y, width, height };
+    const rects = state.nodes.map(getRestingRect);
+    let blocker = rects.find(r => rectsOverlap(rect, r));
+    while (blocker) {
+        rect.y = blocker.y + blocker.height + KEYBOARD_SIBLING_GAP;
+        blocker = rects.find(r => rectsOverlap(rect, r));
+    }
+    return rect;
+}
+
+function uniqueNodeId() {
+    let id = 'node_' + Date.now();
+    while (state.nodes.some(n => n.id === id)) id = 'node_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+    return id;
+}
+
+function focusNodeText(nodeId) {
+    setTimeout(() => {
+        const area = document.getElementById(nodeId)?.querySelector('textarea');
+        if (area) area.focus();
+    }, 50);
+}
+
+// Adds a text card (and a link from `parentId` if given) as one history step
+function spawnLinkedNode(parentId, x, y, connectionProps) {
+    const size = NODE_DEFAULT_SIZES.text;
+    const spot = findFreeSpot(x, y, size.width, size.height);
+    const node = {
+        id: uniqueNodeId(),
+        x: spot.x,
+        y: spot.y,
+        targetX: spot.x,
+        targetY: spot.y,
+        width: size.width,
+        height: size.height,
+        content: '',
+        color: 'white',
+        type: 'text'
+    };
+
+    state.nodes.push(node);
+    if (parentId) state.connections.push(createConnection(parentId, node.id, connectionProps));
+
+    saveData();
+    selectNode(node.id);
+    renderConnections();
+    pushHistory('Add note');
+    revealNode(node.id);
+    focusNodeText(node.id);
+    return node;
+}
+
+// ---------------------------
+// Commands
+// ---------------------------
+function createChildNode() {
+    const parent = getSoleSelectedNode();
+    if (!parent || state.isReadOnly) return;
+
+    const rect = getRestingRect(parent);
+    const x = rect.x + rect.width + KEYBOARD_CHILD_GAP;
+
+    // Below the last existing child on the right, else level with the parent
+    const children = state.connections
+        .filter(c => c.from === parent.id)
+        .map(c => state.nodes.find(n => n.id === c.to))
+        .filter(n => n && getRestingRect(n).x > rect.x)
+        .map(getRestingRect);
+    const y = children.length
+        ? Math.max(...children.map(r => r.y + r.height)) + KEYBOARD_SIBLING_GAP
+        : rect.y;
+
+    spawnLinkedNode(parent.id, x, y, { fromSide: 'right', toSide: 'left' });
+}
+
+function createSiblingNode() {
+    const node = getSoleSelectedNode();
+    if (!node || state.isReadOnly) return;
+
+    const rect = getRestingRect(node);
+    const incoming = state.connections.find(c => c.to === node.id);
+    const props = incoming ? { fromSide: incoming.fromSide, toSide: incoming.toSide } : {};
+
+    spawnLinkedNode(incoming ? incoming.from : null, rect.x, rect.y + rect.height + KEYBOARD_SIBLING_GAP, props);
+}
+
+// Move the selection to the linked card that lies most squarely in the
+// arrow's direction (distance along it, plus twice the sideways offset).
+// With no linked card that way, or with `anyCard`, the nearest card of all.
+function moveSelectionByArrow(key, anyCard) {
+    const node = getSoleSelectedNode();
+    const dir = ARROW_DIRECTIONS[key];
+    if (!node || !dir) return false;
+
+    const center = (n) => {
+        const r = getRestingRect(n);
+        return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
+    };
+    const from = center(node);
+
+    const neighbourIds = new Set();
+    state.connections.forEach(c => {
+        if (c.from === node.id) neighbourIds.add(c.to);
+        if (c.to === node.id) neighbourIds.add(c.from);
+    });
+
+    const findBest = (ids) => {
+        let best = null;
+        ids.forEach(id => {
+            const other = state.nodes.find(n => n.id === id);
+            if (!other) return;
+            const to = center(other);
+            const along = (to.x - from.x) * dir.x + (to.y - from.y) * dir.y;
+            if (along <= 0) return;
+            const across = Math.abs((to.x - from.x) * dir.y - (to.y - from.y) * dir.x);
+            const score = along + across * 2;
+            if (!best || score < best.score) best = { id, score };
+        });
+        return best;
+    };
+
+    const hiddenIds = getFrameHiddenIds();
+    const everyCard = state.nodes.filter(n => n.id !== node.id && !hiddenIds.has(n.id)).map(n => n.id);
+    const best = (!anyCard && findBest([...neighbourIds].filter(id => !hiddenIds.has(id)))) || findBest(everyCard);
+
+    if (!best) return false;
+    selectNode(best.id);
+    revealNode(best.id);
+    moveFocusToNode(best.id);
+    return true;
+}
+
+// Leave a card's textarea, keeping the card itself selected and focused
+function exitTextEditing(textarea) {
+    const nodeEl = textarea.closest('.node');
+    textarea.blur();
+    if (nodeEl) {
+        selectNode(nodeEl.id);
+        moveFocusToNode(nodeEl.id);
+    }
+}
+
+// ---------------------------
+// Viewport Follow
+// ---------------------------
+// Pan just enough for the card to be fully on screen
+function revealNode(nodeId) {
+    const node = state.nodes.find(n => n.id === nodeId);
+    if (!node) return;
+
+    const rect = getRestingRect(node);
+    const scale = state.view.targetScale;
+    const left = rect.x * scale + state.view.targetX;
+    const top = rect.y * scale + state.view.targetY;
+    const right = left + rect.width * scale;
+    const bottom = top + rect.height * scale;
+
+    let dx = 0;
+    let dy = 0;
+    if (left < REVEAL_MARGIN) dx = REVEAL_MARGIN - left;
+    else if (right > window.innerWidth - REVEAL_MARGIN) dx = window.innerWidth - REVEAL_MARGIN - right;
+    if (top < REVEAL_MARGIN) dy = REVEAL_MARGIN - top;
+    else if (bottom > window.innerHeight - REVEAL_MARGIN) dy = window.innerHeight - REVEAL_MARGIN - bottom;
+
+    if (dx === 0 && dy === 0) return;
+    state.view.targetX += dx;
+    state.view.targetY += dy;
+    scheduleViewSave();
+}
+
+// ---------------------------
+// Key Handling
+// ---------------------------
+// Buttons, card toolbars and menus keep Enter, Space and Tab for themselves
+function isControlTarget(target) {
+    return target.tagName === 'BUTTON' || Boolean(target.closest && target.closest('.node-toolbar, .context-menu'));
+}
+
+// Called from handleKeyDown; returns true if the key was used
+function handleMindMapKey(e) {
+    if (state.currentView !== 'canvas' || e.metaKey || e.ctrlKey || e.altKey) return false;
+
+    const target = e.target;
+    if (isControlTarget(target)) return false;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT') {
+        if (e.key === 'Escape' && target.closest('.node')) {
+            exitTextEditing(target);
+            return true;
+        }
+        return false;
+    }
+
+    const selected = getSoleSelectedNode();
+    if (!selected) return false;
+    if (ARROW_DIRECTIONS[e.key]) {
+        return moveSelectionByArrow(e.key, isFrame(selected) || isLinkingFromKeyboard());
+    }
+
+    // Frames have no links to follow or add
+    if (isFrame(selected)) return false;
+
+    if (e.key === 'Tab' && !e.shiftKey) {
+        createChildNode();
+        return true;
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
+        createSiblingNode();
+        return true;
+    }
+    return false;
+}
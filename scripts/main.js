@@ -7,76 +7,155 @@ const defaultNodes = [
 ];
 
 const defaultConnections = [
-    { from: 'start', to: 'n2' }
+    { from: 'start', to: 'n2', arrow: 'end' }
 ];
 
+// ---------------------------
+// Boards (Named Workspaces)
+// ---------------------------
+// Each board stores its own nodes, connections and viewport under
+// `mindflow_board_<id>_*` keys. The board list lives in `mindflow_boards`.
+function boardKey(id, part) {
+    return `mindflow_board_${id}_${part}`;
+}
+
+function readBoard(id) {
+    const nodes = readStoredJSON(boardKey(id, 'nodes'), []);
+    const connections = readStoredJSON(boardKey(id, 'conn'), []);
+    const view = readStoredJSON(boardKey(id, 'view'), null);
+    return {
+        nodes: Array.isArray(nodes) ? nodes : [],
+        connections: Array.isArray(connections) ? connections : [],
+        view: view && typeof view === 'object' ? view : null
+    };
+}
+
+// All or nothing: if a write fails (quota), the keys already written get
+// their old values back so nodes and connections never disagree
+function writeBoard(id, nodes, connections, view) {
+    const entries = [[boardKey(id, 'nodes'), nodes], [boardKey(id, 'conn'), connections]];
+    if (view) entries.push([boardKey(id, 'view'), view]);
+    const previous = entries.map(([key]) => localStorage.getItem(key));
+
+    let written = 0;
+    try {
+        entries.forEach(([key, value]) => {
+            localStorage.setItem(key, JSON.stringify(value));
+            written++;
+        });
+    } catch (e) {
+        entries.slice(0, written).forEach(([key], i) => {
+            if (previous[i] === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, previous[i]);
+        });
+        throw e;
+    }
+}
+
+function removeBoardData(id) {
+    localStorage.removeItem(boardKey(id, 'nodes'));
+    localStorage.removeItem(boardKey(id, 'conn'));
+    localStorage.removeItem(boardKey(id, 'view'));
+}
+
+// Board list; the migration pipeline guarantees at least the default board
+function loadBoardIndex() {
+    const boards = readStoredJSON('mindflow_boards', null);
+    if (Array.isArray(boards) && boards.length > 0) return boards;
+
+    // Index lost after migrating (e.g. cleared by hand): start over
+    migrateLegacyCanvas();
+    return readStoredJSON('mindflow_boards', []);
+}
+
+// Default dimensions for nodes saved without explicit size
+function getNodeSize(node) {
+    if (node.type === 'frame' && node.collapsed) return { ...FRAME_CHIP_SIZE };
+    const size = NODE_DEFAULT_SIZES[node.type] || NODE_DEFAULT_SIZES.text;
+    return {
+        width: node.width || size.width,
+        height: node.height || size.height
+    };
+}
+
 // Load Safe State
 function loadState() {
     let nodes = defaultNodes;
     let connections = defaultConnections;
     let tasks = [];
+    let view = null;
+    let boards = [{ id: 'default', name: 'My Board', createdAt: Date.now() }];
+    let activeBoardId = 'default';
 
     try {
-        const storedNodes = localStorage.getItem('mindflow_nodes');
-        if (storedNodes) {
-            const parsed = JSON.parse(storedNodes);
-            if (Array.isArray(parsed)) nodes = parsed;
-        }
+        runMigrations();
+        boards = loadBoardIndex();
 
-        const storedConn = localStorage.getItem('mindflow_conn');
-        if (storedConn) {
-            const parsed = JSON.parse(storedConn);
-            if (Array.isArray(parsed)) connections = parsed;
-        }
+        activeBoardId = localStorage.getItem('mindflow_active_board');
+        if (!boards.some(b => b.id === activeBoardId)) activeBoardId = boards[0].id;
 
-        const storedTasks = localStorage.getItem('mindflow_tasks');
-        if (storedTasks) {
-            const parsed = JSON.parse(storedTasks);
-            if (Array.isArray(parsed)) tasks = parsed;
-        }
+        const board = readBoard(activeBoardId);
+        nodes = board.nodes;
+        connections = board.connections;
+        view = board.view;
+
+        const storedTasks = readStoredJSON('mindflow_tasks', []);
+        if (Array.isArray(storedTasks)) tasks = storedTasks;
     } catch (e) {
         console.warn('MindFlow: Failed to load state, using defaults.', e);
-        // Clear bad data to prevent future crashes
-        localStorage.removeItem('mindflow_nodes');
-        localStorage.removeItem('mindflow_connections');
-        localStorage.removeItem('mindflow_tasks');
+        // Keep a copy of whatever is stored before defaults overwrite it on the next save
+        quarantineRecords(Object.keys(localStorage)
+            .filter(key => key.startsWith('mindflow_') && key !== QUARANTINE_KEY)
+            .map(key => ({ source: key, reason: 'Load failed: ' + e.message, record: localStorage.getItem(key) })));
     }
 
     // Ensure targets exist on nodes
     nodes = nodes.map(n => ({ ...n, targetX: n.x, targetY: n.y }));
 
-    return { nodes, connections, tasks };
+    return { nodes, connections, tasks, view, boards, activeBoardId };
 }
 
 const loaded = loadState();
 
 // State
+const initialView = loaded.view || {
+    x: window.innerWidth / 2 - 150,
+    y: window.innerHeight / 2 - 100,
+    scale: 1
+};
+
 const state = {
     nodes: loaded.nodes,
     connections: loaded.connections,
+    boards: loaded.boards,
+    activeBoardId: loaded.activeBoardId,
+    boardHistories: {}, // Board ID -> { history, historyIndex } of inactive boards
     view: {
-        x: window.innerWidth / 2 - 150,
-        y: window.innerHeight / 2 - 100,
-        scale: 1,
+        x: initialView.x,
+        y: initialView.y,
+        scale: initialView.scale,
         // Smooth Drag/Zoom Targets
-        targetX: window.innerWidth / 2 - 150,
-        targetY: window.innerHeight / 2 - 100,
-        targetScale: 1
+        targetX: initialView.x,
+        targetY: initialView.y,
+        targetScale: initialView.scale
     },
     drag: {
         active: false,
         type: null, // 'node', 'canvas', 'socket', 'box-select'
         startX: 0, startY: 0,
-        item: null // or items?
+        item: null, // or items?
+        box: null // Marquee state while type === 'box-select'
     },
-    // Undo/Redo History
-    history: [],
-    historyIndex: -1,
+    suppressContextMenuUntil: 0, // Timestamp; set after a right-drag box select
+    // Undo/Redo History (see history.js)
+    history: [], // Steps: { label, changes, time, coalesce }
+    historyIndex: -1, // Last applied step; -1 = nothing to undo
     selection: new Set(), // Set of IDs
     keys: { Space: false }, // Track keyboard state
     hoveredNode: null, // Track hovered node for UI logic
     hoverTimer: null, // Grace period timer
-    clipboard: null, // For copy/paste nodes
+    clipboard: null, // For copy/paste nodes: { payload, plainText } of the last copy
+    pointer: { x: 0, y: 0 }, // Last cursor position in world coords
     currentView: 'canvas', // 'canvas' or 'tasks'
     globalTasks: loaded.tasks,
     taskFilter: 'all', // 'all', 'active', 'completed'
@@ -109,8 +188,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         updateTransform();
+        ensureArrowMarkers();
         renderNodes();
         renderConnections();
+        renderBoardSwitcher();
         setupEvents();
 
         // Force View State
@@ -120,8 +201,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
         animate(); // Start the loop
 
-        // Initial history state
-        pushHistory();
+        // Undo history starts from the loaded board
+        resetHistoryBaseline();
         renderGlobalTasks();
 
         console.log('MindFlow: Initialization Complete');
@@ -143,11 +224,14 @@ function animate() {
     const dy = state.view.targetY - state.view.y;
     const dScale = state.view.targetScale - state.view.scale;
 
+    let viewMoved = false;
     if (Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1 || Math.abs(dScale) > 0.001) {
+        viewMoved = true;
         state.view.x += dx * factor;
         state.view.y += dy * factor;
         state.view.scale += dScale * factor;
         updateTransform();
+        markMinimapDirty();
     }
 
     // 2. Node Physics
@@ -174,10 +258,13 @@ function animate() {
         }
     });
 
-    if (nodesMoved) {
+    // Panning brings other cards and lines into range
+    if (nodesMoved || viewMoved) {
         renderConnections();
+        applyNodeCulling(false);
     }
 
+    drawMinimap();
     requestAnimationFrame(animate);
 }
 
@@ -185,31 +272,137 @@ function animate() {
 // ---------------------------
 // Render
 // ---------------------------
+// Keyed by node id: existing cards are patched in place, so focus, caret and
+// scroll position survive. Only a change of type or mode rebuilds a card.
 function renderNodes() {
-    nodeContainer.innerHTML = '';
-    state.nodes.forEach(node => {
+    const existing = new Map();
+    nodeContainer.querySelectorAll(':scope > .node').forEach(el => existing.set(el.id, el));
+
+    let previous = null;
+    getNodeStackOrder().forEach(node => {
         // Sync targets if rendering from fresh state (e.g. undo)
         if (node.targetX === undefined) node.targetX = node.x;
         if (node.targetY === undefined) node.targetY = node.y;
 
-        const el = createNodeElement(node);
-        nodeContainer.appendChild(el);
+        let el = existing.get(node.id);
+        existing.delete(node.id);
+        if (el && el.dataset.renderKey !== getNodeRenderKey(node)) {
+            el.remove();
+            el = null;
+        }
+        if (el) updateNodeElement(el, node);
+        else el = createNodeElement(node);
+
+        // Later cards stack on top (frames behind all of them); only move
+        // elements that are out of order
+        // (moving a card would blur its textarea)
+        const expected = previous ? previous.nextElementSibling : nodeContainer.firstElementChild;
+        if (el !== expected) nodeContainer.insertBefore(el, expected);
+        previous = el;
+    });
+
+    existing.forEach(el => el.remove());
+    applyFrameVisibility();
+    applyNodeCulling(true);
+    applySearchHighlights();
+    syncNodeAccessibility();
+    markMinimapDirty();
+}
+
+// Selection changes only flip the `selected` class
+function renderSelection() {
+    state.nodes.forEach(node => {
+        document.getElementById(node.id)?.classList.toggle('selected', state.selection.has(node.id));
     });
+    applyNodeCulling(false);
+    syncRovingTabindex();
+}
+
+// Cards whose key changed are rebuilt rather than patched
+function getNodeRenderKey(node) {
+    return `${node.type || 'text'}|${state.isReadOnly ? 'view' : 'edit'}`;
+}
+
+function getNodeImageKey(node) {
+    return node.imageHash || node.src || '';
+}
+
+// Bring an existing card in line with its data
+function updateNodeElement(div, nodeData) {
+    const { width, height } = getNodeSize(nodeData);
+
+    Array.from(div.classList)
+        .filter(cls => cls.startsWith('color-'))
+        .forEach(cls => div.classList.remove(cls));
+    div.classList.add(`color-${nodeData.color || 'white'}`);
+    div.classList.toggle('selected', state.selection.has(nodeData.id));
+
+    div.style.left = `${nodeData.x}px`;
+    div.style.top = `${nodeData.y}px`;
+    div.style.width = `${width}px`;
+
+    if (nodeData.type === 'image') {
+        div.style.height = `${height}px`;
+        const img = div.querySelector('img');
+        img.alt = nodeData.alt || '';
+        if (div.dataset.imageKey !== getNodeImageKey(nodeData)) {
+            div.dataset.imageKey = getNodeImageKey(nodeData);
+            bindImageSource(img, nodeData);
+        }
+    } else if (nodeData.type === 'frame') {
+        updateFrameElement(div, nodeData);
+    } else {
+        const textarea = div.querySelector('textarea');
+        if (textarea.value !== (nodeData.content || '')) {
+            textarea.value = nodeData.content || '';
+            autoResizeNode(div);
+        } else {
+            div.style.height = `${height}px`;
+        }
+    }
+
+    renderNodeTaskBadge(div, nodeData.id);
+}
+
+// Fit a text card's height to its content
+function autoResizeNode(div) {
+    const textarea = div.querySelector('textarea');
+    // Hidden (culled) cards measure as empty; keep the stored size
+    if (!textarea || div.classList.contains('culled')) return;
+
+    // Unlock height to allow shrinking
+    div.style.height = 'auto';
+    textarea.style.height = 'auto';
+
+    // Calculate new height based on content
+    // Textarea scrollHeight + Buffer (14px) to ensure bottom padding isn't cut off
+    const newHeight = textarea.scrollHeight + 14;
+
+    // Apply new height
+    div.style.height = `${newHeight}px`; // Fix space in px
+    textarea.style.height = ''; // Revert to CSS (100% height)
+
+    // Update State (so lines follow)
+    const n = state.nodes.find(n => n.id === div.id);
+    if (n) {
+        n.height = newHeight;
+    }
+    // Request render for lines
+    requestAnimationFrame(renderConnections);
 }
 
 function createNodeElement(nodeData) {
     const div = document.createElement('div');
     const isImage = nodeData.type === 'image';
+    const isFrameNode = nodeData.type === 'frame';
 
-    // Set Saved Dimensions
-    // Default sizes: Text=200x120, Image=300x(auto/200)
-    // Actually we set defaults in state or here.
-    const width = nodeData.width || (isImage ? 300 : 200);
-    const height = nodeData.height || (isImage ? 200 : 120);
+    // Set Saved Dimensions (defaults: NODE_DEFAULT_SIZES)
+    const { width, height } = getNodeSize(nodeData);
 
-    div.className = `node color-${nodeData.color || 'white'} ${isImage ? 'image-node' : ''}`;
+    div.className = `node color-${nodeData.color || 'white'} ${isImage ? 'image-node' : ''} ${isFrameNode ? 'frame-node' : ''}`;
     if (state.selection.has(nodeData.id)) div.classList.add('selected');
     div.id = nodeData.id;
+    div.dataset.renderKey = getNodeRenderKey(nodeData);
     // Use current physics position
     div.style.left = `${nodeData.x}px`;
     div.style.top = `${nodeData.y}px`;
@@ -218,28 +411,38 @@ function createNodeElement(nodeData) {
 
     let contentHTML = '';
     if (isImage) {
-        contentHTML = `<img src="${nodeData.src}" draggable="false" />`;
+        // Source is bound after render (stored images resolve asynchronously)
+        contentHTML = `<img draggable="false" />`;
+    } else if (isFrameNode) {
+        // Title and count are filled in by bindFrameElement
+        contentHTML = `
+        <div class="frame-header">
+            <button type="button" class="btn-frame-collapse" data-frame-action="toggle-collapse"></button>
+            <input class="frame-title" type="text" spellcheck="false" aria-label="Frame title" />
+            <span class="frame-count"></span>
+        </div>`;
     } else {
-        contentHTML = `<textarea class="node-content" spellcheck="false">${nodeData.content || ''}</textarea>`;
+        // Text is set as the value below, never parsed as markup
+        contentHTML = `<textarea class="node-content" spellcheck="false" aria-label="Note text"></textarea>`;
     }
 
     const toolbarHTML = state.isReadOnly ? '' : `
-    <div class="node-toolbar">
+    <div class="node-toolbar" role="toolbar" aria-label="Card tools">
         <div class="toolbar-group">
-            <div class="btn-color-dot dot-white" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'white')"></div>
-            <div class="btn-color-dot dot-red" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'red')"></div>
-            <div class="btn-color-dot dot-orange" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'orange')"></div>
-            <div class="btn-color-dot dot-yellow" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'yellow')"></div>
-            <div class="btn-color-dot dot-green" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'green')"></div>
-            <div class="btn-color-dot dot-blue" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'blue')"></div>
-            <div class="btn-color-dot dot-purple" onmousedown="event.stopPropagation()" onclick="setNodeColor('${nodeData.id}', 'purple')"></div>
+            <button type="button" class="btn-color-dot dot-white" aria-label="White" data-node-action="color" data-color="white"></button>
+            <button type="button" class="btn-color-dot dot-red" aria-label="Red" data-node-action="color" data-color="red"></button>
+            <button type="button" class="btn-color-dot dot-orange" aria-label="Orange" data-node-action="color" data-color="orange"></button>
+            <button type="button" class="btn-color-dot dot-yellow" aria-label="Yellow" data-node-action="color" data-color="yellow"></button>
+            <button type="button" class="btn-color-dot dot-green" aria-label="Green" data-node-action="color" data-color="green"></button>
+            <button type="button" class="btn-color-dot dot-blue" aria-label="Blue" data-node-action="color" data-color="blue"></button>
+            <button type="button" class="btn-color-dot dot-purple" aria-label="Purple" data-node-action="color" data-color="purple"></button>
         </div>
         <div class="toolbar-group">
-            <div class="btn-delete-node" onmousedown="event.stopPropagation()" onclick="deleteNode('${nodeData.id}')">✕</div>
+            <button type="button" class="btn-delete-node" aria-label="Delete" data-node-action="delete">✕</button>
         </div>
     </div>`;
 
-    const resizeHTML = state.isReadOnly ? '' : `<div class="resize-handle" data-id="${nodeData.id}"></div>`;
+    const resizeHTML = state.isReadOnly ? '' : `<div class="resize-handle"></div>`;
 
     div.innerHTML = `
     <div class="node-header-handle"></div>
@@ -248,8 +451,23 @@ function createNodeElement(nodeData) {
     ${resizeHTML}
     `;
 
-    // Socket (Link Creator)
-    if (!state.isReadOnly) {
+    const textarea = div.querySelector('textarea');
+    if (textarea) textarea.value = nodeData.content || '';
+    const resizeHandle = div.querySelector('.resize-handle');
+    if (resizeHandle) resizeHandle.dataset.id = nodeData.id;
+
+    if (isImage) {
+        const img = div.querySelector('img');
+        img.alt = nodeData.alt || '';
+        div.dataset.imageKey = getNodeImageKey(nodeData);
+        bindImageSource(img, nodeData);
+    }
+    if (isFrameNode) bindFrameElement(div, nodeData);
+
+    renderNodeTaskBadge(div, nodeData.id);
+
+    // Socket (Link Creator); frames aren't linked
+    if (!state.isReadOnly && !isFrameNode) {
         const socket = document.createElement('div');
         socket.className = 'node-socket';
         socket.dataset.id = nodeData.id;
@@ -257,7 +475,7 @@ function createNodeElement(nodeData) {
     }
 
     // Add the four directional sockets
-    if (!state.isReadOnly) {
+    if (!state.isReadOnly && !isFrameNode) {
         const socketTop = document.createElement('div');
         socketTop.className = 'node-socket socket-top';
         socketTop.dataset.id = nodeData.id;
@@ -279,36 +497,12 @@ function createNodeElement(nodeData) {
         div.appendChild(socketLeft);
     }
 
-    if (!isImage) {
+    if (!isImage && !isFrameNode) {
         // TextArea interactions
         const textarea = div.querySelector('textarea');
 
-        // Auto-Resize Function
-        const autoResize = () => {
-            // Unlock height to allow shrinking
-            div.style.height = 'auto';
-            textarea.style.height = 'auto';
-
-            // Calculate new height based on content
-            // Textarea scrollHeight + Buffer (14px) to ensure bottom padding isn't cut off
-            const newHeight = textarea.scrollHeight + 14;
-
-            // Apply new height
-            div.style.height = `${newHeight}px`; // Fix space in px
-            textarea.style.height = ''; // Revert to CSS (100% height)
-
-            // Update State (so lines follow)
-            const n = state.nodes.find(n => n.id === nodeData.id);
-            if (n) {
-                n.height = newHeight;
-                // Update targetY if needed? Physics handles x/y which are top-left.
-            }
-            // Request render for lines
-            requestAnimationFrame(renderConnections);
-        };
-
         // Init size
-        setTimeout(autoResize, 0); // tick to allow render
+        setTimeout(() => autoResizeNode(div), 0); // tick to allow render
 
         textarea.addEventListener('focus', () => { /* no-op */ });
 
@@ -317,7 +511,7 @@ function createNodeElement(nodeData) {
             if (n) {
                 n.content = e.target.value;
                 saveData();
-                pushHistory();
+                pushHistory('Edit text', { coalesce: `text:${nodeData.id}`, touched: { node: [nodeData.id] } });
             }
         });
 
@@ -325,8 +519,10 @@ function createNodeElement(nodeData) {
             const n = state.nodes.find(n => n.id === nodeData.id);
             if (n) {
                 n.content = e.target.value;
-                autoResize();
+                autoResizeNode(div);
                 saveData(); // Save content and size
+                // Consecutive keystrokes become one undo step
+                pushHistory('Edit text', { coalesce: `text:${nodeData.id}`, touched: { node: [nodeData.id] } });
             }
         });
     }
@@ -352,140 +548,375 @@ function createNodeElement(nodeData) {
     return div;
 }
 
+// Stroke colors for connections (names match the node palette)
+const CONNECTION_COLORS = {
+    red: '#ef4444',
+    orange: '#f97316',
+    yellow: '#eab308',
+    green: '#22c55e',
+    blue: '#3b82f6',
+    purple: '#a855f7',
+    pink: '#ec4899'
+};
+
+const CONNECTION_DASHES = {
+    solid: null,
+    dashed: '8 6',
+    dotted: '1 6'
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// One arrowhead marker per color; `auto-start-reverse` lets marker-start reuse it
+function ensureArrowMarkers() {
+    if (document.getElementById('connection-defs')) return;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.id = 'connection-defs';
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.position = 'absolute';
+    const defs = document.createElementNS(SVG_NS, 'defs');
+
+    ['default', ...Object.keys(CONNECTION_COLORS)].forEach(name => {
+        const marker = document.createElementNS(SVG_NS, 'marker');
+        marker.id = `arrow-${name}`;
+        marker.setAttribute('viewBox', '0 0 10 10');
+        marker.setAttribute('refX', '9');
+        marker.setAttribute('refY', '5');
+        marker.setAttribute('markerWidth', '7');
+        marker.setAttribute('markerHeight', '7');
+        marker.setAttribute('orient', 'auto-start-reverse');
+
+        const head = document.createElementNS(SVG_NS, 'path');
+        head.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+        head.setAttribute('class', 'connection-arrow');
+        if (name !== 'default') head.style.fill = CONNECTION_COLORS[name];
+
+        marker.appendChild(head);
+        defs.appendChild(marker);
+    });
+
+    svg.appendChild(defs);
+    document.body.appendChild(svg);
+}
+
+function newConnectionId() {
+    return `conn_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// New connections point from source to target by default
+function createConnection(from, to, props = {}) {
+    return {
+        id: newConnectionId(),
+        from: from,
+        to: to,
+        arrow: 'end', // 'none' | 'end' | 'start' | 'both'
+        label: '',
+        color: null, // null = theme default, else a CONNECTION_COLORS key
+        dash: 'solid', // 'solid' | 'dashed' | 'dotted'
+        fromSide: 'auto', // 'auto' | 'top' | 'right' | 'bottom' | 'left'
+        toSide: 'auto',
+        route: 'board', // 'board' (use the board default) | 'bezier' | 'straight' | 'elbow'
+        ...props
+    };
+}
+
+// Connection id -> { path, label, fromBtn, toBtn, route, styleKey } for the
+// connections currently on screen
+const connectionElements = new Map();
+
+// Incremental: connections off screen are dropped, and one whose route and
+// style didn't change since the last call is left untouched
 function renderConnections() {
-    svgLayer.innerHTML = '';
-    controlsLayer.innerHTML = '';
+    syncSpatialIndex();
+    const routing = getBoardRouting();
+    const viewRect = getCullingRect();
+    const rendered = new Set();
+    markMinimapDirty();
 
     state.connections.forEach(conn => {
-        const n1 = state.nodes.find(n => n.id === conn.from);
-        const n2 = state.nodes.find(n => n.id === conn.to);
-        if (!n1 || !n2) return;
+        // Lines into a collapsed frame end at its chip
+        const n1 = getVisibleEndpoint(getIndexedNode(conn.from), getIndexedNode);
+        const n2 = getVisibleEndpoint(getIndexedNode(conn.to), getIndexedNode);
+        if (!n1 || !n2 || n1 === n2 || !isConnectionNearRect(n1, n2, viewRect)) return;
+        rendered.add(conn.id);
+
+        let entry = connectionElements.get(conn.id);
+        if (!entry) {
+            entry = createConnectionElements(conn.id);
+            connectionElements.set(conn.id, entry);
+        }
+
+        // Use current physics position for lines; ends sit on the node borders
+        updateConnectionElements(entry, conn, getCachedRoute(conn, n1, n2, routing));
+    });
+
+    connectionElements.forEach((entry, id) => {
+        if (rendered.has(id)) return;
+        entry.path.remove();
+        entry.label?.remove();
+        entry.fromBtn?.remove();
+        entry.toBtn?.remove();
+        connectionElements.delete(id);
+    });
+}
 
-        // Dynamic Center Calculation
-        // Read actual DOM size if available for smoothness, else state
-        const el1 = document.getElementById(n1.id);
-        const el2 = document.getElementById(n2.id);
+function createConnectionElements(connId) {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', 'connection-line');
+    path.dataset.connId = connId;
 
-        const w1 = n1.width || (n1.type === 'image' ? 300 : 200);
-        // Height might be dynamic for text, use state.height or default
-        const h1 = n1.height || (n1.type === 'image' ? 200 : 120);
+    // Right Click: connection menu (label, arrows, style, delete)
+    path.oncontextmenu = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openConnectionMenu(e.clientX, e.clientY, connId);
+    };
 
-        const w2 = n2.width || (n2.type === 'image' ? 300 : 200);
-        const h2 = n2.height || (n2.type === 'image' ? 200 : 120);
+    // Shift+Click (Legacy/Backup)
+    path.onclick = (e) => {
+        const conn = state.connections.find(c => c.id === connId);
+        if (e.shiftKey && conn) {
+            deleteConnection(conn.id);
+            pushHistory('Delete connection');
+        }
+    };
 
-        // Use current physics position for lines
-        const p1 = { x: n1.x + (w1 / 2), y: n1.y + (h1 / 2) };
-        const p2 = { x: n2.x + (w2 / 2), y: n2.y + (h2 / 2) };
+    path.ondblclick = (e) => {
+        e.stopPropagation();
+        editConnectionLabel(connId);
+    };
+    svgLayer.appendChild(path);
 
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', getBezierPath(p1, p2));
-        path.setAttribute('class', 'connection-line');
+    return { path, label: null, fromBtn: null, toBtn: null, route: null, styleKey: null };
+}
 
-        // Right Click to Delete
-        const deleteHandler = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            deleteConnection(conn.from, conn.to);
-            pushHistory();
-        };
+function updateConnectionElements(entry, conn, route) {
+    const styleKey = [conn.from, conn.to, conn.arrow, conn.color, conn.dash, conn.label, state.isReadOnly].join('|');
+    const styleChanged = styleKey !== entry.styleKey;
+    const routeChanged = route !== entry.route;
 
-        path.oncontextmenu = deleteHandler;
+    if (styleChanged) {
+        applyConnectionStyle(entry.path, conn);
 
-        // Shift+Click (Legacy/Backup)
-        path.onclick = (e) => {
-            if (e.shiftKey) {
-                deleteConnection(conn.from, conn.to);
-                pushHistory();
-            }
-        };
-        svgLayer.appendChild(path);
-
-        // Control Points for Calculation
-        const cx = (p1.x + p2.x) / 2;
-        const cp1 = { x: cx, y: p1.y };
-        const cp2 = { x: cx, y: p2.y };
-
-        // Helper to check if point is inside node box (with padding)
-        const isInside = (pt, node, w, h) => {
-            // Add padding to push button slightly out
-            const pad = 2; // Closer! (was 10)
-            return (pt.x >= node.x - pad && pt.x <= node.x + w + pad &&
-                pt.y >= node.y - pad && pt.y <= node.y + h + pad);
-        };
+        if (conn.label && !entry.label) {
+            entry.label = createConnectionLabel(conn.id);
+            entry.path.after(entry.label);
+        } else if (!conn.label && entry.label) {
+            entry.label.remove();
+            entry.label = null;
+        }
+        if (entry.label) {
+            entry.label.textContent = conn.label;
+            entry.label.style.fill = conn.color && CONNECTION_COLORS[conn.color] ? CONNECTION_COLORS[conn.color] : '';
+        }
+
+        if (state.isReadOnly) {
+            entry.fromBtn?.remove();
+            entry.toBtn?.remove();
+            entry.fromBtn = entry.toBtn = null;
+        } else if (!entry.fromBtn) {
+            entry.fromBtn = createDisconnectButton(conn.id);
+            entry.toBtn = createDisconnectButton(conn.id);
+        }
+        if (entry.fromBtn) {
+            entry.fromBtn.setAttribute('data-node-id', conn.from);
+            entry.toBtn.setAttribute('data-node-id', conn.to);
+        }
+    }
+
+    if (routeChanged || styleChanged) {
+        const { segments } = route;
+        entry.path.setAttribute('d', getRoutePath(segments));
+        if (entry.label) {
+            const mid = getRouteMidpoint(segments);
+            entry.label.setAttribute('x', mid.x);
+            entry.label.setAttribute('y', mid.y);
+        }
+        // Buttons sit a little way along the line so they don't cover the sockets
+        if (entry.fromBtn) {
+            setCirclePosition(entry.fromBtn, getPointAlongRoute(segments, DISCONNECT_BTN_OFFSET, false));
+            setCirclePosition(entry.toBtn, getPointAlongRoute(segments, DISCONNECT_BTN_OFFSET, true));
+        }
+    }
+
+    // Buttons show while their card is hovered
+    entry.fromBtn?.classList.toggle('visible', state.hoveredNode === conn.from);
+    entry.toBtn?.classList.toggle('visible', state.hoveredNode === conn.to);
+
+    entry.route = route;
+    entry.styleKey = styleKey;
+}
+
+function setCirclePosition(circle, pos) {
+    circle.setAttribute('cx', pos.x);
+    circle.setAttribute('cy', pos.y);
+}
 
-        // Helper to create button
-        const createBtn = (pos, nodeId) => {
-            if (state.isReadOnly) return;
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', pos.x);
-            circle.setAttribute('cy', pos.y);
-            circle.setAttribute('r', '7');
+// Disconnect button; its card id is kept in data-node-id by the caller
+function createDisconnectButton(connId) {
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('r', '7');
+    circle.setAttribute('class', 'disconnect-btn');
 
-            circle.setAttribute('data-node-id', nodeId);
+    const disconnect = (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Critical to stop canvas drag
+        const conn = state.connections.find(c => c.id === connId);
+        if (!conn) return;
+        deleteConnection(conn.id);
+        pushHistory('Delete connection');
+    };
+
+    // Use Mousedown for immediate action and to avoid drag conflicts
+    circle.onmousedown = disconnect;
+    circle.oncontextmenu = disconnect;
+
+    // Keep alive on button hover
+    circle.onmouseenter = () => {
+        if (state.hoverTimer) clearTimeout(state.hoverTimer);
+        // state.hoveredNode is already set if we are seeing this button.
+    };
 
-            // Initial class (hidden)
-            let classes = 'disconnect-btn';
-            if (state.hoveredNode === nodeId) {
-                classes += ' visible';
+    circle.onmouseleave = () => {
+        state.hoverTimer = setTimeout(() => {
+            // Only clear if still matching (user didn't move back to node)
+            if (state.hoveredNode === circle.getAttribute('data-node-id')) {
+                state.hoveredNode = null;
+                renderConnections();
             }
-            circle.setAttribute('class', classes);
+        }, 170);
+    };
 
-            // Use Mousedown for immediate action and to avoid drag conflicts
-            circle.onmousedown = (e) => {
-                e.preventDefault();
-                e.stopPropagation(); // Critical to stop canvas drag
-                deleteConnection(conn.from, conn.to);
-                pushHistory();
-            };
+    controlsLayer.appendChild(circle);
+    return circle;
+}
 
-            circle.oncontextmenu = (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                deleteConnection(conn.from, conn.to);
-                pushHistory();
-            };
-
-            // Keep alive on button hover
-            circle.onmouseenter = () => {
-                if (state.hoverTimer) clearTimeout(state.hoverTimer);
-                // Do NOT re-render here, it destroys the button under the mouse!
-                // state.hoveredNode is already set if we are seeing this button.
-            };
-
-            circle.onmouseleave = () => {
-                state.hoverTimer = setTimeout(() => {
-                    // Only clear if still matching (user didn't move back to node)
-                    if (state.hoveredNode === nodeId) {
-                        state.hoveredNode = null;
-                        renderConnections();
-                    }
-                }, 170);
-            };
-
-            controlsLayer.appendChild(circle);
-        };
+function applyConnectionStyle(path, conn) {
+    const marker = `url(#arrow-${conn.color && CONNECTION_COLORS[conn.color] ? conn.color : 'default'})`;
+    const arrow = conn.arrow || 'none';
 
-        // Find T for Start Node (Search 0 -> 0.5)
-        let t1 = 0.05;
-        for (; t1 < 0.5; t1 += 0.02) {
-            const pt = getCubicBezierPoint(t1, p1, cp1, cp2, p2);
-            if (!isInside(pt, n1, w1, h1)) break;
-        }
-        createBtn(getCubicBezierPoint(t1, p1, cp1, cp2, p2), conn.from);
+    // Elements are reused, so clear whatever the previous style set
+    ['marker-start', 'marker-end', 'stroke-dasharray', 'stroke-linecap'].forEach(attr => path.removeAttribute(attr));
+    path.style.stroke = '';
 
-        // Find T for End Node (Search 1 -> 0.5)
-        let t2 = 0.95;
-        for (; t2 > 0.5; t2 -= 0.02) {
-            const pt = getCubicBezierPoint(t2, p1, cp1, cp2, p2);
-            if (!isInside(pt, n2, w2, h2)) break;
-        }
-        createBtn(getCubicBezierPoint(t2, p1, cp1, cp2, p2), conn.to);
-    });
+    if (arrow === 'end' || arrow === 'both') path.setAttribute('marker-end', marker);
+    if (arrow === 'start' || arrow === 'both') path.setAttribute('marker-start', marker);
+    if (conn.color && CONNECTION_COLORS[conn.color]) path.style.stroke = CONNECTION_COLORS[conn.color];
+
+    const dash = CONNECTION_DASHES[conn.dash];
+    if (dash) {
+        path.setAttribute('stroke-dasharray', dash);
+        path.setAttribute('stroke-linecap', 'round');
+    }
+}
+
+function createConnectionLabel(connId) {
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('class', 'connection-label');
+
+    text.ondblclick = (e) => {
+        e.stopPropagation();
+        editConnectionLabel(connId);
+    };
+    text.oncontextmenu = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openConnectionMenu(e.clientX, e.clientY, connId);
+    };
+    return text;
 }
 
-function getBezierPath(p1, p2) {
+// Without control points the curve leaves and enters horizontally
+function getBezierPath(p1, p2, cp1, cp2) {
     const cx = (p1.x + p2.x) / 2;
-    return `M ${p1.x} ${p1.y} C ${cx} ${p1.y}, ${cx} ${p2.y}, ${p2.x} ${p2.y} `;
+    const c1 = cp1 || { x: cx, y: p1.y };
+    const c2 = cp2 || { x: cx, y: p2.y };
+    return `M ${p1.x} ${p1.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${p2.x} ${p2.y} `;
+}
+
+// ---------------------------
+// Connection Anchors
+// ---------------------------
+// Connections remember the sockets they were drawn between (`fromSide` /
+// `toSide`). 'auto' picks whichever pair of sides is closest.
+const ANCHOR_SIDES = ['top', 'right', 'bottom', 'left'];
+
+const SIDE_NORMALS = {
+    top: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    bottom: { x: 0, y: 1 },
+    left: { x: -1, y: 0 }
+};
+
+const DISCONNECT_BTN_OFFSET = 24; // px along the line from the border
+
+// Which side a socket element stands for ('auto' for the plain socket)
+function getSocketSide(el) {
+    return ANCHOR_SIDES.find(side => el.classList.contains(`socket-${side}`)) || 'auto';
+}
+
+// Midpoint of one side of the node's border
+function getAnchorPoint(node, side) {
+    const { width, height } = getNodeSize(node);
+    switch (side) {
+        case 'top': return { x: node.x + width / 2, y: node.y };
+        case 'right': return { x: node.x + width, y: node.y + height / 2 };
+        case 'bottom': return { x: node.x + width / 2, y: node.y + height };
+        default: return { x: node.x, y: node.y + height / 2 };
+    }
+}
+
+// Resolve 'auto' sides to the closest pair of border midpoints
+function resolveAnchorSides(n1, fromSide, n2, toSide) {
+    const fromOptions = ANCHOR_SIDES.includes(fromSide) ? [fromSide] : ANCHOR_SIDES;
+    const toOptions = ANCHOR_SIDES.includes(toSide) ? [toSide] : ANCHOR_SIDES;
+
+    let best = null;
+    fromOptions.forEach(s1 => {
+        const a = getAnchorPoint(n1, s1);
+        toOptions.forEach(s2 => {
+            const b = getAnchorPoint(n2, s2);
+            const dist = Math.hypot(b.x - a.x, b.y - a.y);
+            if (!best || dist < best.dist) best = { fromSide: s1, toSide: s2, dist: dist };
+        });
+    });
+    return best;
+}
+
+// 'auto' against a bare point (the pointer while dragging a new link)
+function resolveAnchorSideToPoint(node, side, point) {
+    if (ANCHOR_SIDES.includes(side)) return side;
+    let best = null;
+    ANCHOR_SIDES.forEach(s => {
+        const a = getAnchorPoint(node, s);
+        const dist = Math.hypot(point.x - a.x, point.y - a.y);
+        if (!best || dist < best.dist) best = { side: s, dist: dist };
+    });
+    return best.side;
+}
+
+// Control points push the curve straight out of each anchor's side
+function getAnchorControlPoint(point, side, reach) {
+    const normal = SIDE_NORMALS[side];
+    return { x: point.x + normal.x * reach, y: point.y + normal.y * reach };
+}
+
+function getConnectionGeometry(conn, n1, n2) {
+    const { fromSide, toSide } = resolveAnchorSides(n1, conn.fromSide, n2, conn.toSide);
+    const p1 = getAnchorPoint(n1, fromSide);
+    const p2 = getAnchorPoint(n2, toSide);
+    const reach = Math.max(40, Math.hypot(p2.x - p1.x, p2.y - p1.y) * 0.4);
+
+    return {
+        p1: p1,
+        cp1: getAnchorControlPoint(p1, fromSide, reach),
+        cp2: getAnchorControlPoint(p2, toSide, reach),
+        p2: p2,
+        fromSide: fromSide,
+        toSide: toSide
+    };
 }
 
 function getCubicBezierPoint(t, p0, p1, p2, p3) {
@@ -522,9 +953,7 @@ function setupEvents() {
         document.getElementById(`view-${viewName}`).classList.add('active');
 
         // Toggle Buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
-        if (viewName === 'canvas') document.querySelector('.nav-btn:nth-child(1)').classList.add('active');
-        if (viewName === 'tasks') document.querySelector('.nav-btn:nth-child(2)').classList.add('active');
+        document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.viewAction === viewName));
     };
 
     // Global Task Listeners
@@ -552,53 +981,68 @@ function setupEvents() {
     // Canvas Events
     // Note: 'container' is global, initialized in DOMContentLoaded
     if (container) {
-        container.addEventListener('mousedown', handleMouseDown);
+        container.addEventListener('pointerdown', handlePointerDown);
         container.addEventListener('wheel', handleWheel, { passive: false });
     }
+    if (nodeContainer) {
+        nodeContainer.addEventListener('click', handleNodeAction);
+        nodeContainer.addEventListener('click', handleFrameAction);
+    }
+
+    // Task row controls (rows are rebuilt on every render)
+    const taskList = document.getElementById('global-task-list');
+    if (taskList) {
+        taskList.addEventListener('click', handleTaskAction);
+        taskList.addEventListener('change', handleTaskAction);
+    }
+
+    // Menu items and toolbar buttons (data-*-action, see UI_ACTIONS)
+    document.addEventListener('click', handleUIAction);
+    const taskSort = document.getElementById('task-sort-select');
+    if (taskSort) taskSort.addEventListener('change', () => setTaskSort(taskSort.value));
 
     // Window Events
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', handleMouseUp);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerCancel);
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
     window.addEventListener('paste', handlePaste);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCut);
 
     // Context Menu disable
     // Context Menu
     window.addEventListener('contextmenu', e => {
         console.log('Context Menu Event detected', e.clientX, e.clientY);
+        e.preventDefault();
 
-        // Check if we're clicking on a task item
-        const taskItem = e.target.closest('.global-task-item');
-        if (taskItem) {
-            e.preventDefault();
-            const taskId = taskItem.getAttribute('data-task-id');
-            if (taskId) {
-                openTaskContextMenu(e.clientX, e.clientY, taskId);
-            }
-            return;
-        }
-
-        // Check if we're on the tasks view
-        const tasksView = e.target.closest('#view-tasks');
-        if (tasksView) {
-            e.preventDefault();
-            // No menu for empty space in tasks view
+        // Swallow the menu that follows a right-drag box selection
+        if (state.suppressContextMenuUntil && Date.now() < state.suppressContextMenuUntil) {
+            state.suppressContextMenuUntil = 0;
             return;
         }
 
-        e.preventDefault();
-        openContextMenu(e.clientX, e.clientY);
+        openContextMenuFor(e.target, e.clientX, e.clientY);
     });
 
     // Click outside to close context menus
     window.addEventListener('click', (e) => {
-        const contextMenu = e.target.closest('.context-menu');
+        const contextMenu = e.target.closest('.context-menu') || e.target.closest('#board-switcher');
         if (!contextMenu) {
             closeContextMenu();
         }
     });
 
+    // Board Switcher
+    const btnBoard = document.getElementById('btn-board-current');
+    if (btnBoard) {
+        btnBoard.onclick = toggleBoardMenu;
+    }
+
+    // Persist the viewport of the active board on exit
+    window.addEventListener('beforeunload', saveView);
+
     // Zoom Controls
     const btnZoomIn = document.getElementById('btn-zoom-in');
     const btnZoomOut = document.getElementById('btn-zoom-out');
@@ -644,38 +1088,58 @@ function setupEvents() {
 
     // Theme Toggle
     const btnTheme = document.getElementById('btn-theme');
-    const iconMoon = btnTheme?.querySelector('.icon-moon');
-    const iconSun = btnTheme?.querySelector('.icon-sun');
-
-    // Helper function to update icon visibility
-    const updateThemeIcons = (isDark) => {
-        if (iconMoon && iconSun) {
-            iconMoon.style.display = isDark ? 'none' : 'block';
-            iconSun.style.display = isDark ? 'block' : 'none';
-        }
-    };
 
     // Load saved theme
     const savedTheme = localStorage.getItem('mindflow_theme');
     if (savedTheme === 'dark') {
-        document.body.classList.add('dark-mode');
-        updateThemeIcons(true);
+        applyTheme(true);
     }
 
     if (btnTheme) {
         btnTheme.onclick = () => {
-            document.body.classList.toggle('dark-mode');
-            const isDark = document.body.classList.contains('dark-mode');
-            localStorage.setItem('mindflow_theme', isDark ? 'dark' : 'light');
-            updateThemeIcons(isDark);
+            applyTheme(!document.body.classList.contains('dark-mode'));
         };
     }
 }
 
+function applyTheme(isDark) {
+    document.body.classList.toggle('dark-mode', isDark);
+    localStorage.setItem('mindflow_theme', isDark ? 'dark' : 'light');
+    markMinimapDirty();
+
+    // Update icon visibility
+    const btnTheme = document.getElementById('btn-theme');
+    const iconMoon = btnTheme?.querySelector('.icon-moon');
+    const iconSun = btnTheme?.querySelector('.icon-sun');
+    if (iconMoon && iconSun) {
+        iconMoon.style.display = isDark ? 'none' : 'block';
+        iconSun.style.display = isDark ? 'block' : 'none';
+    }
+}
+
+// Trigger a browser download for generated content
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Board name -> safe file name stem
+function slugify(text) {
+    return (text || 'mindflow').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'mindflow';
+}
+
 // ---------------------------
 // Global Task Management
 // ---------------------------
-function addGlobalTask(text, priority = 'medium', dueDate = null) {
+// `link` ({ boardId, nodeId }) ties the new task to a note in the same step
+function addGlobalTask(text, priority = 'medium', dueDate = null, link = null) {
     const newTask = {
         id: `task-${Date.now()}`,
         text: text,
@@ -686,12 +1150,14 @@ function addGlobalTask(text, priority = 'medium', dueDate = null) {
         // Timer fields
         timeSpent: 0,
         isRunning: false,
-        lastStartTime: null
+        lastStartTime: null,
+        link: link
     };
     state.globalTasks.push(newTask);
     saveData();
     renderGlobalTasks();
-    pushHistory();
+    pushHistory('Add task', { touched: { task: [newTask.id] } });
+    return newTask;
 }
 
 function toggleTimer(id) {
@@ -741,7 +1207,7 @@ function setTaskFilter(filter) {
     state.taskFilter = filter;
     // Update UI buttons
     document.querySelectorAll('.btn-filter').forEach(btn => {
-        btn.classList.toggle('active', btn.textContent.toLowerCase() === filter);
+        btn.classList.toggle('active', btn.dataset.filterAction === filter);
     });
     renderGlobalTasks();
 }
@@ -755,7 +1221,7 @@ function clearCompletedTasks() {
     state.globalTasks = state.globalTasks.filter(t => !t.done);
     saveData();
     renderGlobalTasks();
-    pushHistory();
+    pushHistory('Clear completed tasks');
 }
 
 function toggleGlobalTask(id) {
@@ -764,7 +1230,7 @@ function toggleGlobalTask(id) {
         task.done = !task.done;
         saveData();
         renderGlobalTasks();
-        pushHistory();
+        pushHistory('Toggle task', { touched: { task: [id] } });
     }
 }
 
@@ -772,7 +1238,31 @@ function deleteGlobalTask(id) {
     state.globalTasks = state.globalTasks.filter(t => t.id !== id);
     saveData();
     renderGlobalTasks();
-    pushHistory();
+    pushHistory('Delete task', { touched: { task: [id] } });
+}
+
+// Delegated from the task list: controls name their action in
+// data-task-action (the checkbox acts on change, buttons on click)
+function handleTaskAction(e) {
+    const control = e.target.closest('[data-task-action]');
+    const item = control?.closest('[data-task-id]');
+    if (!item) return;
+
+    const action = control.dataset.taskAction;
+    if ((action === 'toggle-done') !== (e.type === 'change')) return;
+
+    const id = item.dataset.taskId;
+    switch (action) {
+        case 'toggle-done':
+            toggleGlobalTask(id);
+            break;
+        case 'toggle-timer':
+            toggleTimer(id);
+            break;
+        case 'delete':
+            deleteGlobalTask(id);
+            break;
+    }
 }
 
 function renderGlobalTasks() {
@@ -780,6 +1270,7 @@ function renderGlobalTasks() {
     if (!taskList) return;
 
     taskList.innerHTML = '';
+    refreshNodeTaskBadges();
 
     // 1. Filter
     let filtered = state.globalTasks.filter(t => {
@@ -816,13 +1307,31 @@ function renderGlobalTasks() {
         return;
     }
 
+    // Linked notes, one lookup map per board for this pass
+    const linkedNodeMaps = new Map();
+
     filtered.forEach(task => {
         const li = document.createElement('li');
         li.className = `global-task-item ${task.done ? 'done' : ''} priority-${task.priority || 'medium'}`;
         li.setAttribute('data-task-id', task.id);
 
+        // Built node by node: task text is user content (see safe-dom.js)
+        const priority = task.priority || 'medium';
+        const left = htmlElement('div', { className: 'task-left' }, li);
+        htmlElement('input', {
+            type: 'checkbox',
+            className: 'g-task-checkbox',
+            checked: Boolean(task.done),
+            'data-task-action': 'toggle-done',
+            'aria-label': `Done: ${task.text}`
+        }, left);
+
+        const content = htmlElement('div', { className: 'task-content' }, left);
+        htmlElement('span', { className: 'task-text', text: task.text }, content);
+        const meta = htmlElement('div', { className: 'task-meta' }, content);
+        htmlElement('span', { className: `badge badge-${priority}`, text: priority.toUpperCase() }, meta);
+
         // Date Display
-        let dateHtml = '';
         if (task.dueDate) {
             const dateObj = new Date(task.dueDate);
             const today = new Date();
@@ -831,31 +1340,19 @@ function renderGlobalTasks() {
             // Check overdue
             const isOverdue = !task.done && new Date(task.dueDate) < today;
 
-            dateHtml = `<span class="task-date ${isOverdue ? 'overdue' : ''}">${dateObj.toLocaleDateString()}</span>`;
+            htmlElement('span', { className: `task-date ${isOverdue ? 'overdue' : ''}`, text: dateObj.toLocaleDateString() }, meta);
         }
 
-        const duration = getTaskDuration(task);
-        const timeString = formatDuration(duration);
-        const timerClass = task.isRunning ? 'timer-running' : '';
-        const playIcon = task.isRunning ? '⏸' : '▶';
-
-        li.innerHTML = `
-            <div class="task-left">
-                <input type="checkbox" class="g-task-checkbox" ${task.done ? 'checked' : ''} onchange="toggleGlobalTask('${task.id}')">
-                <div class="task-content">
-                    <span class="task-text">${task.text}</span>
-                    <div class="task-meta">
-                        <span class="badge badge-${task.priority || 'medium'}">${(task.priority || 'medium').toUpperCase()}</span>
-                        ${dateHtml}
-                         <div class="task-timer ${timerClass}">
-                            <button class="btn-timer-toggle" onclick="toggleTimer('${task.id}')">${playIcon}</button>
-                            <span class="timer-display">${timeString}</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            <button class="btn-delete-task" onclick="deleteGlobalTask('${task.id}')">✕</button>
-        `;
+        const timer = htmlElement('div', { className: `task-timer ${task.isRunning ? 'timer-running' : ''}` }, meta);
+        htmlElement('button', {
+            className: 'btn-timer-toggle',
+            'data-task-action': 'toggle-timer',
+            'aria-label': task.isRunning ? 'Pause timer' : 'Start timer',
+            text: task.isRunning ? '⏸' : '▶'
+        }, timer);
+        htmlElement('span', { className: 'timer-display', text: formatDuration(getTaskDuration(task)) }, timer);
+
+        htmlElement('button', { className: 'btn-delete-task', 'data-task-action': 'delete', 'aria-label': 'Delete task', text: '✕' }, li);
 
         // Right-click context menu
         li.addEventListener('contextmenu', (e) => {
@@ -864,6 +1361,21 @@ function renderGlobalTasks() {
             openTaskContextMenu(e.clientX, e.clientY, task.id);
         });
 
+        // Linked note: chip + single click on the row flies to it
+        if (task.link) {
+            li.classList.add('linked');
+            li.querySelector('.task-meta').appendChild(createTaskLinkChip(task, linkedNodeMaps));
+
+            let openTimer = null;
+            li.addEventListener('click', (e) => {
+                if (e.target.closest('button') || e.target.closest('input')) return;
+                clearTimeout(openTimer);
+                // Leave double-click free for editing
+                if (e.detail > 1) return;
+                openTimer = setTimeout(() => openLinkedNode(task.id), 250);
+            });
+        }
+
         // Double-click to edit
         const taskTextEl = li.querySelector('.task-text');
         if (taskTextEl) {
@@ -872,10 +1384,21 @@ function renderGlobalTasks() {
                 startEditingTask(task.id);
             });
             taskTextEl.style.cursor = 'pointer';
+
+            // Keyboard: Enter or F2 on the text edits it
+            taskTextEl.tabIndex = 0;
+            taskTextEl.setAttribute('role', 'button');
+            taskTextEl.title = 'Edit task (Enter)';
+            taskTextEl.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== 'F2') return;
+                e.preventDefault();
+                startEditingTask(task.id);
+            });
         }
 
         taskList.appendChild(li);
     });
+    applySearchHighlights();
 }
 
 function handleKeyUp(e) {
@@ -888,12 +1411,25 @@ function handleKeyUp(e) {
 function handleKeyDown(e) {
     // State Tracking
     if (e.code === 'Space') {
-        if (e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'INPUT') {
+        if (e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'INPUT' && !isControlTarget(e.target)) {
             state.keys.Space = true;
             e.preventDefault();
         }
     }
 
+    // Search: Ctrl+F (also while editing a note)
+    if ((e.metaKey || e.ctrlKey) && !e.shiftKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        openSearch();
+        return;
+    }
+
+    // Mind-map keys: Tab / Enter / Arrows / Escape
+    if (handleMindMapKey(e)) {
+        e.preventDefault();
+        return;
+    }
+
     // Ignore input events
     if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
 
@@ -908,6 +1444,11 @@ function handleKeyDown(e) {
         e.preventDefault();
         redo();
     }
+    // Frame the selection: Ctrl+G
+    else if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        frameSelection();
+    }
     // Delete
     else if (e.key === 'Delete' || e.key === 'Backspace') {
         if (state.selection.size > 0) {
@@ -918,29 +1459,219 @@ function handleKeyDown(e) {
 }
 
 function handlePaste(e) {
-    const items = (e.clipboardData || e.originalEvent.clipboardData).items;
+    const clipboardData = e.clipboardData || e.originalEvent.clipboardData;
+
+    // Copied nodes take precedence (editing a note keeps native paste)
+    const isEditing = e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT';
+    if (!isEditing && state.currentView === 'canvas') {
+        const payload = readClipboardPayload(clipboardData);
+        if (payload) {
+            e.preventDefault();
+            pasteNodes(payload, state.pointer.x, state.pointer.y);
+            return;
+        }
+    }
+
+    const items = clipboardData.items;
     for (const item of items) {
         if (item.type.indexOf('image') !== -1) {
             const blob = item.getAsFile();
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const imgData = event.target.result;
-                // Center of screen
-                const x = (window.innerWidth / 2 - state.view.x) / state.view.scale;
-                const y = (window.innerHeight / 2 - state.view.y) / state.view.scale;
-                createImageNode(imgData, x, y);
-                pushHistory();
-            };
-            reader.readAsDataURL(blob);
+            // Center of screen
+            const x = (window.innerWidth / 2 - state.view.x) / state.view.scale;
+            const y = (window.innerHeight / 2 - state.view.y) / state.view.scale;
+
+            // Binary goes to IndexedDB; inline data URL only if that is unavailable
+            storeImageBlob(blob)
+                .then(hash => ({ imageHash: hash }))
+                .catch(() => blobToDataURL(blob).then(src => ({ src: src })))
+                .then(image => {
+                    createImageNode(image, x, y);
+                    pushHistory('Paste image');
+                    scheduleStorageIndicatorUpdate();
+                })
+                .catch(err => {
+                    console.error('MindFlow: image paste failed', err);
+                    alert(`Paste failed: ${err.message}`);
+                });
         }
     }
 }
 
-function zoomToPoint(delta, screenX, screenY) {
-    // Current visual state
-    const currentScale = state.view.scale;
-    const currentX = state.view.x;
-    const currentY = state.view.y;
+// ---------------------------
+// Clipboard (Copy / Cut / Paste Nodes)
+// ---------------------------
+const CLIPBOARD_FORMAT = 'mindflow-clipboard';
+const CLIPBOARD_MIME = 'application/x-mindflow+json';
+
+// Selected nodes and the members of selected frames (positions relative to
+// their bounding box), plus the connections whose both ends are included
+function buildClipboardPayload() {
+    const ids = expandWithFrameMembers(state.selection);
+    const nodes = state.nodes.filter(n => ids.has(n.id));
+    if (nodes.length === 0) return null;
+
+    const left = Math.min(...nodes.map(n => n.targetX ?? n.x));
+    const top = Math.min(...nodes.map(n => n.targetY ?? n.y));
+
+    return {
+        format: CLIPBOARD_FORMAT,
+        version: 1,
+        nodes: nodes.map(n => {
+            const { targetX, targetY, ...rest } = n;
+            return { ...rest, x: (targetX ?? n.x) - left, y: (targetY ?? n.y) - top };
+        }),
+        connections: state.connections
+            .filter(c => ids.has(c.from) && ids.has(c.to))
+            .map(c => ({ ...c }))
+    };
+}
+
+function clipboardPlainText(payload) {
+    return payload.nodes
+        .filter(n => n.type !== 'frame')
+        .map(n => (n.type === 'image' ? '[Image]' : (n.content || '').trim()))
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+function isClipboardPayload(data) {
+    return Boolean(data && data.format === CLIPBOARD_FORMAT && Array.isArray(data.nodes) && Array.isArray(data.connections));
+}
+
+// Clipboard JSON can come from another tab or page: keep only the records
+// the load pipeline accepts (see migrations.js), with unique ids
+function sanitizeClipboardPayload(data) {
+    if (!isClipboardPayload(data)) return null;
+
+    const nodes = [];
+    const ids = new Set();
+    data.nodes.forEach(raw => {
+        const { record } = normalizeNode(raw);
+        if (!record || ids.has(record.id)) return;
+        ids.add(record.id);
+        nodes.push(record);
+    });
+    if (nodes.length === 0) return null;
+
+    const frameIds = new Set(nodes.filter(isFrame).map(n => n.id));
+    nodes.forEach(n => {
+        if (n.frameId !== undefined && !frameIds.has(n.frameId)) delete n.frameId;
+    });
+    const connections = data.connections
+        .map(raw => normalizeConnection(raw, ids).record)
+        .filter(Boolean);
+
+    const dropped = data.nodes.length - nodes.length + data.connections.length - connections.length;
+    if (dropped > 0) console.warn(`MindFlow: Ignoring ${dropped} unreadable clipboard record(s).`);
+    return { ...data, nodes, connections };
+}
+
+function readClipboardPayload(clipboardData) {
+    if (!clipboardData) return null;
+
+    const json = clipboardData.getData(CLIPBOARD_MIME);
+    if (json) {
+        try {
+            const payload = sanitizeClipboardPayload(JSON.parse(json));
+            if (payload) return payload;
+        } catch (e) {
+            console.warn('MindFlow: Ignoring unreadable clipboard data', e);
+        }
+    }
+
+    // Browsers that strip custom types still give us the plain text we wrote
+    const text = clipboardData.getData('text/plain');
+    if (state.clipboard && text && text === state.clipboard.plainText) {
+        return state.clipboard.payload;
+    }
+    return null;
+}
+
+function handleCopy(e) {
+    if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
+    if (state.currentView !== 'canvas' || state.selection.size === 0) return;
+
+    const payload = buildClipboardPayload();
+    if (!payload) return;
+
+    const plainText = clipboardPlainText(payload);
+    state.clipboard = { payload, plainText };
+
+    e.preventDefault();
+    e.clipboardData.setData(CLIPBOARD_MIME, JSON.stringify(payload));
+    e.clipboardData.setData('text/plain', plainText);
+}
+
+function handleCut(e) {
+    if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
+    if (state.currentView !== 'canvas' || state.selection.size === 0 || state.isReadOnly) return;
+
+    handleCopy(e);
+    removeNodes([...state.selection]);
+}
+
+// Delete without confirmation (cut already keeps a copy)
+function removeNodes(ids) {
+    const doomed = new Set(ids);
+    resolveLinkedTasksOnDelete(ids);
+    releaseFrameMembers(ids);
+    state.nodes = state.nodes.filter(n => !doomed.has(n.id));
+    state.connections = state.connections.filter(c => !doomed.has(c.from) && !doomed.has(c.to));
+    state.selection.clear();
+    saveData();
+    renderNodes();
+    renderConnections();
+    pushHistory('Cut');
+    scheduleImageGarbageCollection();
+}
+
+// Insert a payload with fresh ids, centered on world point (x, y)
+function pasteNodes(payload, x, y) {
+    if (state.isReadOnly || !isClipboardPayload(payload)) return;
+
+    const width = Math.max(...payload.nodes.map(n => n.x + getNodeSize(n).width));
+    const height = Math.max(...payload.nodes.map(n => n.y + getNodeSize(n).height));
+    const left = x - width / 2;
+    const top = y - height / 2;
+
+    const stamp = Date.now();
+    const idMap = new Map();
+    payload.nodes.forEach((n, i) => idMap.set(n.id, `node_${stamp}_${i}`));
+
+    const pasted = payload.nodes.map(n => {
+        const { frameId, ...rest } = n;
+        const node = {
+            ...rest,
+            id: idMap.get(n.id),
+            x: left + n.x,
+            y: top + n.y,
+            targetX: left + n.x,
+            targetY: top + n.y
+        };
+        // Stays framed only if its frame was copied too
+        if (idMap.has(frameId)) node.frameId = idMap.get(frameId);
+        return node;
+    });
+
+    state.nodes.push(...pasted);
+    payload.connections.forEach(c => {
+        if (idMap.has(c.from) && idMap.has(c.to)) {
+            state.connections.push({ ...c, id: newConnectionId(), from: idMap.get(c.from), to: idMap.get(c.to) });
+        }
+    });
+
+    state.selection = new Set(pasted.map(n => n.id));
+    saveData();
+    renderNodes();
+    renderConnections();
+    pushHistory('Paste');
+}
+
+function zoomToPoint(delta, screenX, screenY) {
+    // Current visual state
+    const currentScale = state.view.scale;
+    const currentX = state.view.x;
+    const currentY = state.view.y;
 
     // Calculate World position under mouse from CURRENT visual state
     const worldX = (screenX - currentX) / currentScale;
@@ -956,33 +1687,57 @@ function zoomToPoint(delta, screenX, screenY) {
     state.view.targetX = newTargetX;
     state.view.targetY = newTargetY;
     state.view.targetScale = newTargetScale;
+    scheduleViewSave();
+}
+
+// Debounced viewport persistence (wheel zoom fires many events)
+let viewSaveTimer = null;
+function scheduleViewSave() {
+    clearTimeout(viewSaveTimer);
+    viewSaveTimer = setTimeout(saveView, 300);
 }
 
 function updateTransform() {
     canvas.style.transform = `translate(${state.view.x}px, ${state.view.y}px) scale(${state.view.scale})`;
 
-    const gridSize = 40 * state.view.scale;
+    const gridSize = GRID_SIZE * state.view.scale;
     container.style.backgroundSize = `${gridSize}px ${gridSize}px`;
     container.style.backgroundPosition = `${state.view.x}px ${state.view.y}px`;
 }
 
+// A mouse wheel scrolls in lines, or in big whole-pixel steps straight up
+// or down; a trackpad sends small pixel deltas on both axes.
+function isMouseWheel(e) {
+    return e.deltaMode !== 0 || (e.deltaX === 0 && Number.isInteger(e.deltaY) && Math.abs(e.deltaY) >= 50);
+}
+
 function handleWheel(e) {
     if (state.currentView !== 'canvas') return;
 
     e.preventDefault();
 
-    // Always Zoom on Wheel (Google Maps style)
-    const zoomIntensity = 0.0005; // Reduced from 0.002 for smoother zoom
-    const delta = -e.deltaY * zoomIntensity;
+    // Trackpad pinch arrives as ctrl+wheel; a mouse wheel zooms too (Google Maps style)
+    if (e.ctrlKey || e.metaKey || isMouseWheel(e)) {
+        const zoomIntensity = e.ctrlKey ? 0.01 : 0.0005; // Pinch deltas are much smaller
+        const delta = -e.deltaY * zoomIntensity;
+        zoomToPoint(delta, e.clientX, e.clientY);
+        return;
+    }
 
-    zoomToPoint(delta, e.clientX, e.clientY);
+    // Two-finger scroll on a trackpad pans
+    state.view.targetX -= e.deltaX;
+    state.view.targetY -= e.deltaY;
+    scheduleViewSave();
 }
 
 // ---------------------------
-// Mouse Handler: Selection / Drag / Box / Resize
+// Pointer Handler: Selection / Drag / Box / Resize
 // ---------------------------
-function handleMouseDown(e) {
+// Mouse, pen and touch all come through here. A second finger turns the
+// gesture into a pinch (see touch-input.js).
+function handlePointerDown(e) {
     if (state.currentView !== 'canvas') return;
+    if (trackTouchPointerDown(e)) return;
 
     // 0. Resize Interaction
     if (!state.isReadOnly && e.target.classList.contains('resize-handle') && e.button === 0) {
@@ -994,8 +1749,9 @@ function handleMouseDown(e) {
             state.drag.item = node.id;
             state.drag.startX = e.clientX;
             state.drag.startY = e.clientY;
-            state.drag.startWidth = node.width || (node.type === 'image' ? 300 : 200);
-            state.drag.startHeight = node.height || (node.type === 'image' ? 200 : 120);
+            const size = getNodeSize(node);
+            state.drag.startWidth = size.width;
+            state.drag.startHeight = size.height;
             e.stopPropagation();
             return;
         }
@@ -1006,6 +1762,7 @@ function handleMouseDown(e) {
         state.drag.active = true;
         state.drag.type = 'socket';
         state.drag.item = e.target.dataset.id;
+        state.drag.fromSide = getSocketSide(e.target);
         createTempLine();
         e.stopPropagation();
         return;
@@ -1043,7 +1800,7 @@ function handleMouseDown(e) {
             } else {
                 state.selection.add(id);
             }
-            renderNodes();
+            renderSelection();
             return;
         }
 
@@ -1051,7 +1808,7 @@ function handleMouseDown(e) {
         if (!state.selection.has(id)) {
             state.selection.clear();
             state.selection.add(id);
-            renderNodes();
+            renderSelection();
         }
 
         // Start Dragging (ONLY IF NOT READ ONLY)
@@ -1061,12 +1818,15 @@ function handleMouseDown(e) {
             state.drag.startX = e.clientX;
             state.drag.startY = e.clientY;
             state.drag.initialPositions = new Map();
-            state.selection.forEach(selId => {
+            // Frames carry their members along
+            state.drag.moving = expandWithFrameMembers(state.selection);
+            state.drag.moving.forEach(selId => {
                 const n = state.nodes.find(node => node.id === selId);
                 if (n) {
-                    state.drag.initialPositions.set(selId, { x: n.x, y: n.y });
+                    state.drag.initialPositions.set(selId, { x: n.targetX ?? n.x, y: n.targetY ?? n.y });
                 }
             });
+            beginDragSnap(state.drag.moving);
         }
 
         // If ReadOnly, we just selected it (above) but didn't set drag.active.
@@ -1087,7 +1847,15 @@ function handleMouseDown(e) {
         return;
     }
 
-    // 3. Background Interaction (Pan)
+    // 3. Box Select: Right-Drag, or Shift/Alt + Left-Drag on empty canvas
+    if (!nodeEl && !state.keys.Space &&
+        (e.button === 2 || (e.button === 0 && (e.shiftKey || e.altKey)))) {
+        const mode = e.altKey ? 'subtract' : (e.shiftKey ? 'add' : 'replace');
+        startBoxSelect(e, mode);
+        return;
+    }
+
+    // 4. Background Interaction (Pan)
     // If not on a node, socket, or control -> Pan
     if (e.button === 0 || state.keys.Space) {
         state.drag.active = true;
@@ -1099,7 +1867,7 @@ function handleMouseDown(e) {
         // Deselect if clicking empty space
         if (state.selection.size > 0) {
             state.selection.clear();
-            renderNodes();
+            renderSelection();
         }
     }
 
@@ -1110,11 +1878,18 @@ function handleMouseDown(e) {
 
 
 
-function handleMouseMove(e) {
+function handlePointerMove(e) {
+    if (trackTouchPointerMove(e)) return;
+
+    // Remember the cursor in world space (paste target)
+    state.pointer = screenToWorld(e.clientX, e.clientY);
+
     if (!state.drag.active) return;
 
     // Safety check: if button released outside window
     if (e.buttons === 0) {
+        if (state.drag.type === 'box-select') cancelBoxSelect();
+        endDragSnap();
         state.drag.active = false;
         return;
     }
@@ -1125,8 +1900,9 @@ function handleMouseMove(e) {
 
         const node = state.nodes.find(n => n.id === state.drag.item);
         if (node) {
-            const newW = Math.max(150, state.drag.startWidth + dx); // min width
-            let newH = Math.max(100, state.drag.startHeight + dy); // min height
+            // Whole grid cells when snapping is on (Alt resizes freely)
+            const newW = snapSize(Math.max(150, state.drag.startWidth + dx), 160, e.altKey); // min width
+            let newH = snapSize(Math.max(100, state.drag.startHeight + dy), 120, e.altKey); // min height
 
             // If Text Node: Only resize width, let auto-grow handle height?
             // User might want to shrink it? But text will spill.
@@ -1135,19 +1911,19 @@ function handleMouseMove(e) {
                 const el = document.getElementById(node.id);
                 if (el) {
                     // We apply width
-                    el.style.width = `${newW} px`;
+                    el.style.width = `${newW}px`;
                     // Recalc height based on new width
                     const textarea = el.querySelector('textarea');
                     textarea.style.height = 'auto';
                     newH = textarea.scrollHeight + 28; // recalc
-                    el.style.height = `${newH} px`;
+                    el.style.height = `${newH}px`;
                 }
             } else {
                 // Image Node: standard resize
                 const el = document.getElementById(node.id);
                 if (el) {
-                    el.style.width = `${newW} px`;
-                    el.style.height = `${newH} px`;
+                    el.style.width = `${newW}px`;
+                    el.style.height = `${newH}px`;
                 }
             }
 
@@ -1158,102 +1934,265 @@ function handleMouseMove(e) {
         }
 
     } else if (state.drag.type === 'node') {
-        const dx = (e.clientX - state.drag.startX) / state.view.scale;
-        const dy = (e.clientY - state.drag.startY) / state.view.scale;
-
-        // Move TARGETS of all selected nodes
-        state.selection.forEach(id => {
+        // Offset from where the drag started, lined up with nearby cards
+        // or the grid (Alt moves freely)
+        const offset = snapDragOffset(
+            (e.clientX - state.drag.startX) / state.view.scale,
+            (e.clientY - state.drag.startY) / state.view.scale,
+            e.altKey
+        );
+
+        // Move TARGETS of all selected nodes (and the members of selected frames)
+        state.drag.initialPositions.forEach((start, id) => {
             const node = state.nodes.find(n => n.id === id);
             if (node) {
-                if (node.targetX === undefined) node.targetX = node.x;
-                if (node.targetY === undefined) node.targetY = node.y;
-
-                node.targetX += dx;
-                node.targetY += dy;
+                node.targetX = start.x + offset.x;
+                node.targetY = start.y + offset.y;
                 // We do NOT update node.x/y here; animate() loop does that for smoothness.
             }
         });
-
-        state.drag.startX = e.clientX;
-        state.drag.startY = e.clientY;
         // Don't need requestAnimationFrame(renderConnections) here; loop handles it.
 
     } else if (state.drag.type === 'canvas') {
         state.view.targetX = e.clientX - state.drag.startX;
         state.view.targetY = e.clientY - state.drag.startY;
 
+    } else if (state.drag.type === 'box-select') {
+        updateBoxSelect(e);
+
     } else if (state.drag.type === 'socket') {
         const n1 = state.nodes.find(n => n.id === state.drag.item);
         if (n1) {
-            // Recalc source point
-            // Need actual dimensions now for center
-            const w1 = n1.width || (n1.type === 'image' ? 300 : 200);
-            const h1 = n1.height || (n1.type === 'image' ? 200 : 120);
-            const p1 = { x: n1.x + (w1 / 2), y: n1.y + (h1 / 2) };
-
-            const mX = (e.clientX - state.view.x) / state.view.scale;
-            const mY = (e.clientY - state.view.y) / state.view.scale;
+            // Leave from the dragged socket (or the side facing the pointer)
+            const mouse = screenToWorld(e.clientX, e.clientY);
+            const fromSide = resolveAnchorSideToPoint(n1, state.drag.fromSide, mouse);
+            const p1 = getAnchorPoint(n1, fromSide);
+            const reach = Math.max(40, Math.hypot(mouse.x - p1.x, mouse.y - p1.y) * 0.4);
 
             const line = document.getElementById('temp-drag-line');
-            if (line) line.setAttribute('d', getBezierPath(p1, { x: mX, y: mY }));
+            if (line) line.setAttribute('d', getBezierPath(p1, mouse, getAnchorControlPoint(p1, fromSide, reach), mouse));
         }
 
     }
 }
 
-function handleMouseUp(e) {
+function handlePointerUp(e) {
+    if (trackTouchPointerUp(e)) return;
     if (!state.drag.active) return;
 
-
-
     if (state.drag.type === 'resize') {
+        const node = state.nodes.find(n => n.id === state.drag.item);
+        if (isFrame(node)) updateFrameMembersAfterResize(node);
         saveData();
-        pushHistory();
+        renderNodes();
+        pushHistory(isFrame(node) ? 'Resize frame' : 'Resize note');
     } else if (state.drag.type === 'node') {
-        // Upon finish, we should probably snap? 
-        // Or just save data. The nodes might still be moving to targets.
-        // We should save the TARGETS as the new positions? 
-        // Or wait?
-        // Simple: Save targets. When reloading, x=targetX.
-        state.nodes.forEach(n => {
-            // For saving, we want the final destination.
-            // If we save current x,y it might be mid-slide.
-            // Better to save targetX, targetY.
-            // Or update x/y to targetX/targetY immediately? No, jump.
-            // Let's rely on animate() finishing.
-            // Issue: if we reload page while animating?
-            // It's fine.
-        });
+        // Targets were snapped while dragging; save them as the new positions
+        endDragSnap();
+        // Dropped cards join (or leave) the frame they landed in
+        updateFrameMembership(getTopLevelSelection());
         saveData();
-        pushHistory();
+        renderNodes();
+        pushHistory('Move notes');
+    } else if (state.drag.type === 'canvas') {
+        saveView();
+    } else if (state.drag.type === 'box-select') {
+        finishBoxSelect();
     } else if (state.drag.type === 'socket') {
-        let target = e.target.closest('.node');
-        if (e.target.classList.contains('node-socket')) target = e.target.closest('.node');
+        // Touch and pen events keep targeting the socket they started on,
+        // so look up what's under the pointer instead
+        const dropEl = document.elementFromPoint(e.clientX, e.clientY) || e.target;
+        const target = dropEl.closest('.node');
 
         document.getElementById('temp-drag-line')?.remove();
 
         if (target) {
             const toId = target.id;
             if (toId && toId !== state.drag.item) {
-                const exists = state.connections.find(c =>
-                    (c.from === state.drag.item && c.to === toId) ||
-                    (c.from === toId && c.to === state.drag.item)
-                );
+                // Directed: A -> B and B -> A may both exist
+                const exists = state.connections.find(c => c.from === state.drag.item && c.to === toId);
 
                 if (!exists) {
-                    state.connections.push({ from: state.drag.item, to: toId });
+                    // Dropping on a socket pins that side; on the card body it stays auto
+                    const toSide = dropEl.classList.contains('node-socket') ? getSocketSide(dropEl) : 'auto';
+                    state.connections.push(createConnection(state.drag.item, toId, {
+                        fromSide: state.drag.fromSide || 'auto',
+                        toSide: toSide
+                    }));
                     saveData();
                     renderConnections();
-                    pushHistory();
+                    pushHistory('Connect notes');
                 }
             }
         }
+    }
 
-        // 4. Box Select (Right Click) logic continues...
-        state.drag.active = false;
-        state.drag.type = null;
-        container.classList.remove('panning');
+    state.drag.active = false;
+    state.drag.type = null;
+    container.classList.remove('panning');
+}
+
+function handlePointerCancel(e) {
+    trackTouchPointerUp(e);
+    cancelDrag();
+}
+
+// Abandon the current drag without saving it (a second finger turned it
+// into a pinch, a long press opened a menu, or the browser took over)
+function cancelDrag() {
+    if (!state.drag.active) return;
+
+    if (state.drag.type === 'node') {
+        state.drag.initialPositions.forEach((start, id) => {
+            const node = state.nodes.find(n => n.id === id);
+            if (node) {
+                node.targetX = start.x;
+                node.targetY = start.y;
+            }
+        });
+    } else if (state.drag.type === 'resize') {
+        const node = state.nodes.find(n => n.id === state.drag.item);
+        if (node) {
+            node.width = state.drag.startWidth;
+            node.height = state.drag.startHeight;
+            renderNodes();
+            renderConnections();
+        }
+    } else if (state.drag.type === 'canvas') {
+        saveView();
+    } else if (state.drag.type === 'box-select') {
+        cancelBoxSelect();
+    } else if (state.drag.type === 'socket') {
+        document.getElementById('temp-drag-line')?.remove();
+    }
+
+    endDragSnap();
+    state.drag.active = false;
+    state.drag.type = null;
+    container.classList.remove('panning');
+}
+
+// ---------------------------
+// Box Select (Marquee)
+// ---------------------------
+// Dragging left-to-right selects nodes fully inside the box;
+// right-to-left selects every node the box touches.
+function screenToWorld(clientX, clientY) {
+    return {
+        x: (clientX - state.view.x) / state.view.scale,
+        y: (clientY - state.view.y) / state.view.scale
+    };
+}
+
+function startBoxSelect(e, mode) {
+    const start = screenToWorld(e.clientX, e.clientY);
+
+    state.drag.active = true;
+    state.drag.type = 'box-select';
+    state.drag.startX = e.clientX;
+    state.drag.startY = e.clientY;
+    state.drag.box = {
+        start: start,
+        end: start,
+        mode: mode, // 'replace' | 'add' | 'subtract'
+        base: new Set(state.selection),
+        moved: false
+    };
+
+    const el = document.createElement('div');
+    el.id = 'selection-box';
+    el.className = 'selection-box';
+    el.style.borderWidth = `${1 / state.view.scale}px`;
+    canvas.appendChild(el);
+}
+
+function getBoxRect(box) {
+    return {
+        x: Math.min(box.start.x, box.end.x),
+        y: Math.min(box.start.y, box.end.y),
+        w: Math.abs(box.end.x - box.start.x),
+        h: Math.abs(box.end.y - box.start.y),
+        crossing: box.end.x < box.start.x
+    };
+}
+
+function getNodesInRect(rect) {
+    const hiddenIds = getFrameHiddenIds();
+    return state.nodes.filter(node => {
+        if (hiddenIds.has(node.id)) return false;
+        const { width, height } = getNodeSize(node);
+        const nx = node.targetX ?? node.x;
+        const ny = node.targetY ?? node.y;
+
+        if (rect.crossing) {
+            return nx < rect.x + rect.w && nx + width > rect.x &&
+                ny < rect.y + rect.h && ny + height > rect.y;
+        }
+        return nx >= rect.x && nx + width <= rect.x + rect.w &&
+            ny >= rect.y && ny + height <= rect.y + rect.h;
+    }).map(n => n.id);
+}
+
+// Selection that would result from the current box
+function computeBoxSelection(box) {
+    const hits = getNodesInRect(getBoxRect(box));
+    if (box.mode === 'add') return new Set([...box.base, ...hits]);
+    if (box.mode === 'subtract') return new Set([...box.base].filter(id => !hits.includes(id)));
+    return new Set(hits);
+}
+
+function updateBoxSelect(e) {
+    const box = state.drag.box;
+    if (!box) return;
+
+    if (Math.abs(e.clientX - state.drag.startX) > 4 || Math.abs(e.clientY - state.drag.startY) > 4) {
+        box.moved = true;
+    }
+    box.end = screenToWorld(e.clientX, e.clientY);
+
+    const rect = getBoxRect(box);
+    const el = document.getElementById('selection-box');
+    if (el) {
+        el.style.left = `${rect.x}px`;
+        el.style.top = `${rect.y}px`;
+        el.style.width = `${rect.w}px`;
+        el.style.height = `${rect.h}px`;
+        el.classList.toggle('crossing', rect.crossing);
+    }
+
+    // Live preview without a full re-render
+    const preview = computeBoxSelection(box);
+    state.nodes.forEach(node => {
+        document.getElementById(node.id)?.classList.toggle('selected', preview.has(node.id));
+    });
+}
+
+function finishBoxSelect() {
+    const box = state.drag.box;
+    document.getElementById('selection-box')?.remove();
+    state.drag.box = null;
+    if (!box) return;
+
+    if (!box.moved) {
+        // A plain click: left+modifier keeps the selection, right-click opens the menu
+        if (box.mode === 'replace') return;
+        renderSelection();
+        return;
     }
+
+    state.selection = computeBoxSelection(box);
+    renderSelection();
+
+    // A right-drag must not end in the context menu (fires on mouseup on
+    // Windows, on mousedown elsewhere)
+    closeContextMenu();
+    state.suppressContextMenuUntil = Date.now() + 300;
+}
+
+function cancelBoxSelect() {
+    document.getElementById('selection-box')?.remove();
+    state.drag.box = null;
+    renderSelection();
 }
 
 // ---------------------------
@@ -1261,17 +2200,18 @@ function handleMouseUp(e) {
 // ---------------------------
 let contextMenuTarget = null; // { type: 'bg' | 'node', id: string, x: number, y: number }
 
-function openContextMenu(x, y) {
+// `target` is what was clicked (or focused); else whatever is at x, y
+function openContextMenu(x, y, target) {
     console.log('openContextMenu called', x, y);
     // Determine target
     // We already know it was a right click. Check what's under cursor?
-    // Actually handleMouseDown didn't check target for box select?
+    // Actually handlePointerDown didn't check target for box select?
     // We can check document.elementFromPoint(x, y)
 
     // Close existing
     closeContextMenu();
 
-    const el = document.elementFromPoint(x, y);
+    const el = target || document.elementFromPoint(x, y);
     const nodeEl = el?.closest('.node');
 
     const menu = nodeEl ? document.getElementById('node-context-menu') : document.getElementById('context-menu');
@@ -1286,17 +2226,47 @@ function openContextMenu(x, y) {
         y: (y - state.view.y) / state.view.scale
     };
 
+    // Image-only entries, and note entries that don't apply to frames
+    const altItem = menu.querySelector('[data-image-only]');
+    if (altItem) altItem.style.display = nodeEl?.classList.contains('image-node') ? '' : 'none';
+    menu.querySelectorAll('[data-note-only]').forEach(item => {
+        item.style.display = nodeEl?.classList.contains('frame-node') ? 'none' : '';
+    });
+    // Align / distribute need a multi-selection that includes this card
+    const multi = Boolean(nodeEl) && state.selection.size > 1 && state.selection.has(nodeEl.id) && !state.isReadOnly;
+    menu.querySelectorAll('[data-multi-only]').forEach(item => {
+        item.style.display = multi ? '' : 'none';
+    });
+    menu.querySelector('[data-snap-grid]')?.classList.toggle('checked', snapToGrid);
+
     // Position Menu
     menu.style.left = `${x}px`;
     menu.style.top = `${y}px`;
     menu.style.display = 'flex';
 }
 
+// Right-click or long press: a task row gets its menu, a card or the
+// canvas gets theirs, empty space in the tasks view gets none
+function openContextMenuFor(target, x, y) {
+    const taskItem = target.closest('.global-task-item');
+    if (taskItem) {
+        const taskId = taskItem.getAttribute('data-task-id');
+        if (taskId) openTaskContextMenu(x, y, taskId);
+        return;
+    }
+    if (target.closest('#view-tasks')) return;
+    openContextMenu(x, y, target);
+}
+
 function closeContextMenu() {
     document.getElementById('context-menu').style.display = 'none';
     document.getElementById('node-context-menu').style.display = 'none';
     const taskMenu = document.getElementById('task-context-menu');
     if (taskMenu) taskMenu.style.display = 'none';
+    const connMenu = document.getElementById('connection-context-menu');
+    if (connMenu) connMenu.style.display = 'none';
+    closeBoardMenu();
+    closeHistoryPanel();
     contextMenuTarget = null;
 }
 
@@ -1354,6 +2324,18 @@ window.handleTaskMenuAction = function (action) {
         case 'delete':
             deleteGlobalTask(contextTaskId);
             break;
+        case 'open-node':
+            openLinkedNode(contextTaskId);
+            break;
+        case 'link-node': {
+            const [nodeId] = state.selection;
+            if (state.selection.size === 1) linkTaskToNode(contextTaskId, nodeId);
+            else alert('Select exactly one note on the map first.');
+            break;
+        }
+        case 'unlink-node':
+            unlinkTask(contextTaskId);
+            break;
     }
 
     closeContextMenu();
@@ -1377,7 +2359,7 @@ function duplicateTask(taskId) {
     state.globalTasks.push(newTask);
     saveData();
     renderGlobalTasks();
-    pushHistory();
+    pushHistory('Duplicate task', { touched: { task: [newTask.id] } });
 }
 
 function setTaskPriority(taskId, priority) {
@@ -1387,11 +2369,11 @@ function setTaskPriority(taskId, priority) {
     task.priority = priority;
     saveData();
     renderGlobalTasks();
-    pushHistory();
+    pushHistory('Set task priority', { touched: { task: [taskId] } });
 }
 
 function startEditingTask(taskId) {
-    const taskEl = document.querySelector(`[data-task-id="${taskId}"]`);
+    const taskEl = document.querySelector(`[data-task-id="${CSS.escape(taskId)}"]`);
     if (!taskEl) return;
 
     const task = state.globalTasks.find(t => t.id === taskId);
@@ -1407,6 +2389,7 @@ function startEditingTask(taskId) {
     input.type = 'text';
     input.value = originalText;
     input.className = 'task-edit-input';
+    input.setAttribute('aria-label', 'Task text');
     input.style.cssText = `
         flex: 1;
         padding: 4px 8px;
@@ -1427,16 +2410,20 @@ function startEditingTask(taskId) {
         if (save && input.value.trim()) {
             task.text = input.value.trim();
             saveData();
-            pushHistory();
+            pushHistory('Edit task', { touched: { task: [taskId] } });
         }
         renderGlobalTasks();
     };
 
+    // Finishing from the keyboard puts focus back on the task text
+    const refocus = () => document.querySelector(`[data-task-id="${CSS.escape(taskId)}"] .task-text`)?.focus();
     input.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
             finishEdit(true);
+            refocus();
         } else if (e.key === 'Escape') {
             finishEdit(false);
+            refocus();
         }
     });
 
@@ -1477,12 +2464,12 @@ window.handleColorPick = function (color) {
 };
 
 // Update global click to also close color picker
-window.addEventListener('mousedown', (e) => {
+window.addEventListener('pointerdown', (e) => {
     if (!e.target.closest('#color-picker') && !e.target.closest('.btn-tool')) {
         const picker = document.getElementById('color-picker');
         if (picker) picker.style.display = 'none';
     }
-    if (!e.target.closest('.context-menu')) {
+    if (!e.target.closest('.context-menu') && !e.target.closest('#board-switcher')) {
         closeContextMenu();
     }
 });
@@ -1496,6 +2483,16 @@ window.handleMenuAction = (action) => {
         case 'create-note':
             createNode(x, y);
             break;
+        case 'create-frame':
+            createFrame(x, y);
+            break;
+        case 'frame-selection':
+            if (id && !state.selection.has(id)) selectNode(id);
+            frameSelection();
+            break;
+        case 'link-from':
+            if (id) startKeyboardLink(id);
+            break;
         case 'create-image':
             // Trigger file input? Or create placeholder?
             // Let's create placeholder instructions
@@ -1508,6 +2505,25 @@ window.handleMenuAction = (action) => {
         case 'centralize':
             centerView();
             break;
+        case 'layout-tree-lr':
+        case 'layout-tree-tb':
+        case 'layout-radial':
+        case 'layout-force':
+            applyLayout(action.replace('layout-', ''));
+            break;
+        case 'layout-radial-here':
+            if (id) applyLayout('radial', id);
+            break;
+        case 'paste':
+            if (state.clipboard) pasteNodes(state.clipboard.payload, x, y);
+            break;
+        case 'copy-node':
+        case 'cut-node':
+            if (id) {
+                if (!state.selection.has(id)) selectNode(id);
+                document.execCommand(action === 'cut-node' ? 'cut' : 'copy');
+            }
+            break;
         case 'delete-node':
             if (id) {
                 // If selection has multiple, delete all selected?
@@ -1532,10 +2548,33 @@ window.handleMenuAction = (action) => {
                     saveData();
                     selectNode(clone.id);
                     renderNodes();
-                    pushHistory();
+                    pushHistory('Duplicate note');
                 }
             }
             break;
+        case 'add-task':
+            if (id) {
+                const text = prompt('New task for this note:');
+                if (text && text.trim()) createLinkedTask(id, text.trim());
+            }
+            break;
+        case 'convert-to-task':
+            if (id) {
+                const source = state.nodes.find(n => n.id === id);
+                if (source) createLinkedTask(id, (source.content || '').trim() || getNodeLabel(source));
+            }
+            break;
+        case 'edit-alt': {
+            const image = state.nodes.find(n => n.id === id && n.type === 'image');
+            if (!image) break;
+            const alt = prompt('Describe this image (alt text):', image.alt || '');
+            if (alt === null) break;
+            image.alt = alt.trim();
+            saveData();
+            renderNodes();
+            pushHistory('Edit alt text');
+            break;
+        }
     }
     closeContextMenu();
 };
@@ -1551,7 +2590,7 @@ function selectNode(id) {
         state.selection.clear();
         state.selection.add(id);
     }
-    renderNodes();
+    renderNodes(); // Also picks up cards the caller just added
 }
 
 function setMode(mode) {
@@ -1584,16 +2623,19 @@ function createNode(x, y) {
         id: 'node_' + Date.now(),
         x: x - 110,
         y: y - 60,
+        width: NODE_DEFAULT_SIZES.text.width,
+        height: NODE_DEFAULT_SIZES.text.height,
         content: '',
         color: 'white',
         type: 'text'
     };
 
     state.nodes.push(newNode);
+    updateFrameMembership([newNode.id]);
     saveData();
     selectNode(newNode.id);
     // renderNodes called inside selectNode
-    pushHistory();
+    pushHistory('Add note');
 
     // Auto focus
     setTimeout(() => {
@@ -1603,20 +2645,23 @@ function createNode(x, y) {
     }, 50);
 }
 
-function createImageNode(src, x, y) {
+// `image` is { imageHash } for stored blobs or { src } for inline/remote images
+function createImageNode(image, x, y) {
     const newNode = {
         id: 'image_' + Date.now(),
         x: x - 100,
         y: y - 100,
+        width: NODE_DEFAULT_SIZES.image.width,
+        height: NODE_DEFAULT_SIZES.image.height,
         content: '',
-        src: src,
+        ...image,
         color: 'white',
         type: 'image'
     };
     state.nodes.push(newNode);
     saveData();
     selectNode(newNode.id);
-    pushHistory();
+    pushHistory('Add image');
 }
 
 // Helper to delete ALL selected
@@ -1624,26 +2669,83 @@ function deleteSelectedNodes() {
     if (state.selection.size === 0) return;
 
     if (confirm(`Delete ${state.selection.size} items ? `)) {
+        resolveLinkedTasksOnDelete([...state.selection]);
+        releaseFrameMembers([...state.selection]);
         state.nodes = state.nodes.filter(n => !state.selection.has(n.id));
         state.connections = state.connections.filter(c => !state.selection.has(c.from) && !state.selection.has(c.to));
         state.selection.clear();
         saveData();
         renderNodes();
         renderConnections();
-        pushHistory();
+        pushHistory('Delete notes');
+        scheduleImageGarbageCollection();
+    }
+}
+
+// Delegated from the nodes container: card toolbar and frame buttons name
+// their action in data-node-action
+function handleNodeAction(e) {
+    const button = e.target.closest('[data-node-action]');
+    const nodeEl = button?.closest('.node');
+    if (!nodeEl) return;
+
+    switch (button.dataset.nodeAction) {
+        case 'color':
+            setNodeColor(nodeEl.id, button.dataset.color);
+            break;
+        case 'delete':
+            deleteNode(nodeEl.id);
+            break;
+    }
+}
+
+// Menus, chips and buttons in index.html name their handler with a
+// data-*-action attribute; a second argument comes from the data-* the
+// styling already uses (data-routing, data-arrow, data-color, ...)
+const UI_ACTIONS = {
+    boardAction: (action, el) => handleBoardAction(action, el.dataset.routing),
+    workspaceAction: (action) => handleWorkspaceAction(action),
+    outlineAction: (action) => handleOutlineAction(action),
+    canvasFileAction: (action) => handleCanvasFileAction(action),
+    exportAction: (action, el) => handleImageExport(action, Number(el.dataset.scale) || undefined),
+    viewAction: (view) => window.switchView(view),
+    filterAction: (filter) => setTaskFilter(filter),
+    taskListAction: (action) => {
+        if (action === 'clear-completed') clearCompletedTasks();
+    },
+    menuAction: (action) => handleMenuAction(action),
+    alignAction: (action) => handleAlignAction(action),
+    taskMenuAction: (action) => handleTaskMenuAction(action),
+    connectionAction: (action, el) => handleConnectionMenuAction(action, el.dataset[action]),
+    colorAction: (color) => handleColorPick(color)
+};
+
+// Delegated click handler for everything in UI_ACTIONS
+function handleUIAction(e) {
+    for (let el = e.target; el && el !== document.body; el = el.parentElement) {
+        if (!el.dataset) continue;
+        const key = Object.keys(UI_ACTIONS).find(name => name in el.dataset);
+        if (key) {
+            UI_ACTIONS[key](el.dataset[key], el);
+            return;
+        }
     }
 }
 
 // Legacy single delete wrapper
 window.deleteNode = function (id) {
-    if (confirm('Delete this note?')) {
+    const frame = isFrame(state.nodes.find(n => n.id === id));
+    if (confirm(frame ? 'Delete this frame? Its notes are kept.' : 'Delete this note?')) {
+        resolveLinkedTasksOnDelete([id]);
+        releaseFrameMembers([id]);
         state.nodes = state.nodes.filter(n => n.id !== id);
         state.connections = state.connections.filter(c => c.from !== id && c.to !== id);
         state.selection.delete(id);
         saveData();
         renderNodes();
         renderConnections();
-        pushHistory();
+        pushHistory('Delete note');
+        scheduleImageGarbageCollection();
     }
 }
 
@@ -1663,18 +2765,97 @@ window.setNodeColor = function (id, color) {
     saveData();
     renderNodes();
     renderConnections();
-    pushHistory();
+    pushHistory('Change color');
 }
 
-function deleteConnection(fromId, toId) {
-    state.connections = state.connections.filter(c =>
-        !(c.from === fromId && c.to === toId) &&
-        !(c.from === toId && c.to === fromId)
-    );
+// By id: parallel connections between the same two cards are allowed
+function deleteConnection(connId) {
+    state.connections = state.connections.filter(c => c.id !== connId);
     saveData();
     renderConnections();
 }
 
+// ---------------------------
+// Connection Menu (Label / Arrows / Style)
+// ---------------------------
+let contextConnectionId = null;
+
+function openConnectionMenu(x, y, connId) {
+    if (state.isReadOnly) return;
+    closeContextMenu();
+
+    const conn = state.connections.find(c => c.id === connId);
+    const menu = document.getElementById('connection-context-menu');
+    if (!conn || !menu) return;
+
+    contextConnectionId = connId;
+
+    // Reflect current settings
+    menu.querySelectorAll('[data-arrow]').forEach(el => el.classList.toggle('active', el.dataset.arrow === (conn.arrow || 'none')));
+    menu.querySelectorAll('[data-dash]').forEach(el => el.classList.toggle('active', el.dataset.dash === (conn.dash || 'solid')));
+    menu.querySelectorAll('[data-route]').forEach(el => el.classList.toggle('active', el.dataset.route === (conn.route || 'board')));
+    menu.querySelectorAll('[data-color]').forEach(el => el.classList.toggle('active', el.dataset.color === (conn.color || 'default')));
+
+    menu.style.left = `${Math.min(x, window.innerWidth - 220)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - 320)}px`;
+    menu.style.display = 'flex';
+}
+
+function updateConnection(connId, changes) {
+    const conn = state.connections.find(c => c.id === connId);
+    if (!conn) return;
+
+    Object.assign(conn, changes);
+    saveData();
+    renderConnections();
+    pushHistory('Edit connection', { touched: { connection: [connId] } });
+}
+
+function editConnectionLabel(connId) {
+    if (state.isReadOnly) return;
+    const conn = state.connections.find(c => c.id === connId);
+    if (!conn) return;
+
+    const label = prompt('Connection label:', conn.label || '');
+    if (label === null) return;
+    updateConnection(connId, { label: label.trim() });
+}
+
+window.handleConnectionMenuAction = function (action, value) {
+    const connId = contextConnectionId;
+    const conn = state.connections.find(c => c.id === connId);
+    closeContextMenu();
+    if (!conn) return;
+
+    switch (action) {
+        case 'label':
+            editConnectionLabel(connId);
+            break;
+        case 'arrow':
+            updateConnection(connId, { arrow: value });
+            break;
+        case 'dash':
+            updateConnection(connId, { dash: value });
+            break;
+        case 'route':
+            updateConnection(connId, { route: value });
+            break;
+        case 'color':
+            updateConnection(connId, { color: value === 'default' ? null : value });
+            break;
+        case 'reverse':
+            updateConnection(connId, { from: conn.to, to: conn.from, fromSide: conn.toSide, toSide: conn.fromSide });
+            break;
+        case 'auto-anchors':
+            updateConnection(connId, { fromSide: 'auto', toSide: 'auto' });
+            break;
+        case 'delete':
+            deleteConnection(conn.id);
+            pushHistory('Delete connection');
+            break;
+    }
+};
+
 function clearBoard() {
     if (confirm('Clear entire board?')) {
         state.nodes = [];
@@ -1692,37 +2873,215 @@ function centerView() {
     state.view.targetX = cx;
     state.view.targetY = cy;
     state.view.targetScale = 1;
+    scheduleViewSave();
 }
 
-function createTempLine() {
-    const tempLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    tempLine.id = 'temp-drag-line';
-    tempLine.setAttribute('class', 'connection-line');
-    tempLine.setAttribute('stroke-dasharray', '10 10'); // Explicit attribute for dashes
-    tempLayer.appendChild(tempLine);
+// ---------------------------
+// Board Management
+// ---------------------------
+function getActiveBoard() {
+    return state.boards.find(b => b.id === state.activeBoardId);
+}
+
+function saveBoardIndex() {
+    localStorage.setItem('mindflow_boards', JSON.stringify(state.boards));
+    localStorage.setItem('mindflow_active_board', state.activeBoardId);
+}
+
+function applyView(view) {
+    const v = view || {
+        x: window.innerWidth / 2 - 150,
+        y: window.innerHeight / 2 - 100,
+        scale: 1
+    };
+    state.view.x = state.view.targetX = v.x;
+    state.view.y = state.view.targetY = v.y;
+    state.view.scale = state.view.targetScale = v.scale;
+    updateTransform();
 }
 
-// Assuming loadData exists elsewhere or needs to be added here.
-// Adding a placeholder loadData function based on the instruction's context.
-function loadData() {
-    const dataNodes = localStorage.getItem('mindflow_nodes');
-    if (dataNodes) {
-        state.nodes = JSON.parse(dataNodes);
+function switchBoard(id) {
+    if (id === state.activeBoardId || !state.boards.some(b => b.id === id)) return;
+
+    // Stash the outgoing board (data + in-memory history)
+    saveData();
+    state.boardHistories[state.activeBoardId] = {
+        history: state.history,
+        historyIndex: state.historyIndex
+    };
+
+    const board = readBoard(id);
+    state.activeBoardId = id;
+    state.nodes = board.nodes.map(n => ({ ...n, targetX: n.x, targetY: n.y }));
+    state.connections = board.connections;
+    state.selection.clear();
+    state.hoveredNode = null;
+    applyView(board.view);
+    saveBoardIndex();
+
+    const saved = state.boardHistories[id];
+    state.history = saved ? saved.history : [];
+    state.historyIndex = saved ? saved.historyIndex : -1;
+
+    renderNodes();
+    renderConnections();
+    renderBoardSwitcher();
+    resetHistoryBaseline();
+}
+
+function createBoard(name) {
+    const board = { id: 'board_' + Date.now(), name: name, createdAt: Date.now() };
+    writeBoard(board.id, [], [], null);
+    state.boards.push(board);
+    saveBoardIndex();
+    switchBoard(board.id);
+}
+
+function renameBoard(id, name) {
+    const board = state.boards.find(b => b.id === id);
+    if (!board) return;
+    board.name = name;
+    saveBoardIndex();
+    renderBoardSwitcher();
+}
+
+function duplicateBoard(id) {
+    const original = state.boards.find(b => b.id === id);
+    if (!original) return;
+
+    // Flush the live board first so the copy includes unsaved moves
+    if (id === state.activeBoardId) saveData();
+
+    const data = readBoard(id);
+    const copy = {
+        ...original,
+        id: 'board_' + Date.now(),
+        name: original.name + ' (copy)',
+        createdAt: Date.now()
+    };
+    writeBoard(copy.id, data.nodes, data.connections, data.view);
+    state.boards.push(copy);
+    saveBoardIndex();
+    switchBoard(copy.id);
+}
+
+function deleteBoard(id) {
+    if (state.boards.length <= 1) {
+        alert('You need at least one board.');
+        return;
     }
+    const board = state.boards.find(b => b.id === id);
+    if (!board || !confirm(`Delete board "${board.name}"? This cannot be undone.`)) return;
 
-    const dataConn = localStorage.getItem('mindflow_conn');
-    if (dataConn) {
-        state.connections = JSON.parse(dataConn);
+    if (id === state.activeBoardId) {
+        const next = state.boards.find(b => b.id !== id);
+        switchBoard(next.id);
     }
 
-    // Load Tasks
-    const dataTasks = localStorage.getItem('mindflow_tasks');
-    if (dataTasks) {
-        state.globalTasks = JSON.parse(dataTasks);
-        renderGlobalTasks();
+    state.boards = state.boards.filter(b => b.id !== id);
+    delete state.boardHistories[id];
+    removeBoardData(id);
+    saveBoardIndex();
+    unlinkTasksForBoard(id);
+    saveData();
+    renderGlobalTasks();
+    renderBoardSwitcher();
+    scheduleImageGarbageCollection();
+}
+
+function renderBoardSwitcher() {
+    const active = getActiveBoard();
+    const nameEl = document.getElementById('board-current-name');
+    if (nameEl && active) nameEl.textContent = active.name;
+
+    const list = document.getElementById('board-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    state.boards.forEach(board => {
+        const item = document.createElement('div');
+        item.className = 'menu-item board-item';
+        if (board.id === state.activeBoardId) item.classList.add('active');
+        item.textContent = board.name;
+        item.title = board.name;
+        item.onclick = () => {
+            closeBoardMenu();
+            switchBoard(board.id);
+        };
+        list.appendChild(item);
+    });
+}
+
+// Default line style for connections on the active board
+function setBoardRouting(changes) {
+    const board = getActiveBoard();
+    if (!board) return;
+    Object.assign(board, changes);
+    saveBoardIndex();
+    renderConnections();
+}
+
+function toggleBoardMenu() {
+    const menu = document.getElementById('board-menu');
+    if (!menu) return;
+    const isOpen = menu.style.display !== 'none';
+    closeContextMenu();
+    if (!isOpen) {
+        renderBoardSwitcher();
+        const routing = getBoardRouting();
+        menu.querySelectorAll('[data-routing]').forEach(el => el.classList.toggle('active', el.dataset.routing === routing.style));
+        menu.querySelector('[data-avoid-nodes]')?.classList.toggle('checked', routing.avoid);
+        menu.querySelector('[data-export-transparent]')?.classList.toggle('checked', exportTransparent);
+        menu.style.display = 'flex';
     }
 }
 
+function closeBoardMenu() {
+    const menu = document.getElementById('board-menu');
+    if (menu) menu.style.display = 'none';
+}
+
+window.handleBoardAction = function (action, value) {
+    const active = getActiveBoard();
+    closeBoardMenu();
+
+    switch (action) {
+        case 'create': {
+            const name = prompt('Board name:', `Board ${state.boards.length + 1}`);
+            if (name && name.trim()) createBoard(name.trim());
+            break;
+        }
+        case 'rename': {
+            if (!active) return;
+            const name = prompt('Rename board:', active.name);
+            if (name && name.trim()) renameBoard(active.id, name.trim());
+            break;
+        }
+        case 'duplicate':
+            if (active) duplicateBoard(active.id);
+            break;
+        case 'delete':
+            if (active) deleteBoard(active.id);
+            break;
+        case 'routing':
+            setBoardRouting({ routing: value });
+            break;
+        case 'avoid-nodes':
+            setBoardRouting({ avoidNodes: !getBoardRouting().avoid });
+            break;
+        case 'history':
+            openHistoryPanel();
+            break;
+    }
+};
+
+function createTempLine() {
+    const tempLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    tempLine.id = 'temp-drag-line';
+    tempLine.setAttribute('class', 'connection-line');
+    tempLine.setAttribute('stroke-dasharray', '10 10'); // Explicit attribute for dashes
+    tempLayer.appendChild(tempLine);
+}
 
 function saveData() {
     // Save TARGET positions as the persistent X/Y to avoid saving mid-animation frame
@@ -1733,54 +3092,25 @@ function saveData() {
     }));
     // Remove temporary runtime props if needed, but for now simple map is fine.
 
-    localStorage.setItem('mindflow_nodes', JSON.stringify(dataNodes));
-    localStorage.setItem('mindflow_conn', JSON.stringify(state.connections));
-    localStorage.setItem('mindflow_tasks', JSON.stringify(state.globalTasks));
-}
-
-// ---------------------------
-// Global Tasks System
-// ---------------------------
-function addGlobalTask(text) {
-    const task = {
-        id: 'gt_' + Date.now(),
-        text: text,
-        done: false
-    };
-    state.globalTasks.push(task);
-    saveData();
-    renderGlobalTasks();
-}
-
-function toggleGlobalTask(id) {
-    const task = state.globalTasks.find(t => t.id === id);
-    if (task) {
-        task.done = !task.done;
-        saveData();
-        renderGlobalTasks();
+    try {
+        writeBoard(state.activeBoardId, dataNodes, state.connections, getViewSnapshot());
+        localStorage.setItem('mindflow_tasks', JSON.stringify(state.globalTasks));
+    } catch (e) {
+        // Usually QuotaExceededError: keep the in-memory state and tell the user
+        reportSaveFailure(e);
+        return;
     }
+    clearSaveFailure();
+    scheduleStorageIndicatorUpdate();
 }
 
-function deleteGlobalTask(id) {
-    state.globalTasks = state.globalTasks.filter(t => t.id !== id);
-    saveData();
-    renderGlobalTasks();
+// Persist only the viewport (pan/zoom don't touch nodes)
+function saveView() {
+    localStorage.setItem(boardKey(state.activeBoardId, 'view'), JSON.stringify(getViewSnapshot()));
 }
 
-function renderGlobalTasks() {
-    const list = document.getElementById('global-task-list');
-    if (!list) return;
-
-    list.innerHTML = state.globalTasks.map(task => `
-        <div class="global-task-item ${task.done ? 'completed' : ''}">
-            <div class="g-task-checkbox ${task.done ? 'checked' : ''}" 
-                 onclick="toggleGlobalTask('${task.id}')">
-                 ${task.done ? '✓' : ''}
-            </div>
-            <div class="g-task-text">${task.text}</div>
-            <div class="g-task-delete" onclick="deleteGlobalTask('${task.id}')">✕</div>
-        </div>
-    `).join('');
+function getViewSnapshot() {
+    return { x: state.view.targetX, y: state.view.targetY, scale: state.view.targetScale };
 }
 
 // ---------------------------
@@ -1801,7 +3131,7 @@ function handleMenuAction(action, nodeId, x, y) {
                 state.nodes.push(duplicatedNode);
                 saveData();
                 selectNode(duplicatedNode.id);
-                pushHistory();
+                pushHistory('Duplicate note');
             }
             break;
         case 'create':
@@ -1813,54 +3143,3 @@ function handleMenuAction(action, nodeId, x, y) {
     }
     closeContextMenu();
 }
-
-// ---------------------------
-// History (Undo/Redo)
-// ---------------------------
-function pushHistory() {
-    // If we are in the middle of the stack, truncate future
-    if (state.historyIndex < state.history.length - 1) {
-        state.history = state.history.slice(0, state.historyIndex + 1);
-    }
-
-    const snapshot = {
-        nodes: JSON.parse(JSON.stringify(state.nodes)),
-        connections: JSON.parse(JSON.stringify(state.connections))
-    };
-
-    // Prevent duplicate push if identical to last (optimization)
-    const last = state.history[state.historyIndex];
-    if (last && JSON.stringify(last) === JSON.stringify(snapshot)) return;
-
-    state.history.push(snapshot);
-    state.historyIndex++;
-
-    // Limit history size?
-    if (state.history.length > 50) {
-        state.history.shift();
-        state.historyIndex--;
-    }
-}
-
-function undo() {
-    if (state.historyIndex > 0) {
-        state.historyIndex--;
-        restoreState(state.history[state.historyIndex]);
-    }
-}
-
-function redo() {
-    if (state.historyIndex < state.history.length - 1) {
-        state.historyIndex++;
-        restoreState(state.history[state.historyIndex]);
-    }
-}
-
-function restoreState(snapshot) {
-    state.nodes = JSON.parse(JSON.stringify(snapshot.nodes));
-    state.connections = JSON.parse(JSON.stringify(snapshot.connections));
-    state.selection.clear();
-    saveData();
-    renderNodes();
-    renderConnections();
-}
@@ -0,0 +1,279 @@
+// MindFlow - Persisted Data Schema & Migrations
+// Loaded before main.js: loadState() runs the pipeline before building state.
+
+const SCHEMA_VERSION = 3;
+const SCHEMA_VERSION_KEY = 'mindflow_schema_version';
+const QUARANTINE_KEY = 'mindflow_quarantine';
+
+const NODE_DEFAULT_SIZES = {
+    text: { width: 200, height: 120 },
+    image: { width: 300, height: 200 },
+    frame: { width: 480, height: 320 }
+};
+
+const TASK_DEFAULTS = {
+    done: false,
+    priority: 'medium',
+    dueDate: null,
+    timeSpent: 0,
+    isRunning: false,
+    lastStartTime: null,
+    link: null // { boardId, nodeId } of a linked note
+};
+
+// Connections saved before v3 had no direction, so a missing arrow means 'none'
+const CONNECTION_ARROWS = ['none', 'end', 'start', 'both'];
+const CONNECTION_DASH_STYLES = ['solid', 'dashed', 'dotted'];
+const CONNECTION_SIDES = ['auto', 'top', 'right', 'bottom', 'left'];
+const CONNECTION_ROUTES = ['board', 'bezier', 'straight', 'elbow'];
+
+// Ordered: each step upgrades stored data to its `version`.
+// Steps must be safe to re-run on data that is already in that shape.
+const MIGRATIONS = [
+    { version: 1, name: 'Move single-canvas data into the default board', up: migrateLegacyCanvas },
+    { version: 2, name: 'Normalize nodes, connections and tasks', up: migrateNormalizeRecords },
+    { version: 3, name: 'Give connections ids, direction and style', up: migrateConnectionStyles }
+];
+
+// ---------------------------
+// Pipeline
+// ---------------------------
+function getStoredSchemaVersion() {
+    return parseInt(localStorage.getItem(SCHEMA_VERSION_KEY), 10) || 0;
+}
+
+function runMigrations() {
+    let version = getStoredSchemaVersion();
+
+    if (version > SCHEMA_VERSION) {
+        console.warn(`MindFlow: Stored data is schema v${version}, newer than this app (v${SCHEMA_VERSION}). Loading as-is.`);
+        return version;
+    }
+
+    MIGRATIONS.forEach(migration => {
+        if (migration.version <= version) return;
+        console.log(`MindFlow: Migrating data to v${migration.version} (${migration.name})`);
+        migration.up();
+        version = migration.version;
+        localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+    });
+
+    return version;
+}
+
+// ---------------------------
+// Quarantine
+// ---------------------------
+// Records that cannot be repaired are kept here instead of being dropped,
+// so nothing a user typed is ever silently lost.
+function getQuarantine() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(QUARANTINE_KEY));
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function quarantineRecords(entries) {
+    if (entries.length === 0) return;
+    const stamped = entries.map(entry => ({ ...entry, quarantinedAt: Date.now() }));
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(getQuarantine().concat(stamped)));
+    console.warn(`MindFlow: Quarantined ${entries.length} unreadable record(s) in "${QUARANTINE_KEY}".`, stamped);
+}
+
+// Parse a stored JSON value. Corrupt values are quarantined (raw text kept)
+// and the fallback is returned instead of throwing.
+function readStoredJSON(key, fallback) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed === null ? fallback : parsed;
+    } catch (e) {
+        quarantineRecords([{ source: key, reason: 'Unreadable JSON', record: raw }]);
+        localStorage.removeItem(key);
+        return fallback;
+    }
+}
+
+// ---------------------------
+// Record Normalizers
+// ---------------------------
+const isFiniteNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Returns { record } on success or { reason } if the node cannot be repaired
+function normalizeNode(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { reason: 'Not an object' };
+    if (typeof raw.id !== 'string' || !raw.id) return { reason: 'Missing id' };
+
+    const type = raw.type === undefined ? 'text' : raw.type;
+    if (!NODE_DEFAULT_SIZES[type]) return { reason: `Unknown node type "${raw.type}"` };
+
+    // Prefer the resting target if a mid-animation position was saved
+    const x = isFiniteNum(raw.targetX) ? raw.targetX : raw.x;
+    const y = isFiniteNum(raw.targetY) ? raw.targetY : raw.y;
+    if (!isFiniteNum(x) || !isFiniteNum(y)) return { reason: 'Invalid position' };
+
+    if (type === 'image' && typeof raw.src !== 'string' && typeof raw.imageHash !== 'string') {
+        return { reason: 'Image without source' };
+    }
+
+    const { targetX, targetY, ...rest } = raw;
+    const size = NODE_DEFAULT_SIZES[type];
+    const record = {
+        ...rest,
+        type: type,
+        x: x,
+        y: y,
+        width: isFiniteNum(raw.width) && raw.width > 0 ? raw.width : size.width,
+        height: isFiniteNum(raw.height) && raw.height > 0 ? raw.height : size.height,
+        color: typeof raw.color === 'string' && raw.color ? raw.color : 'white',
+        content: typeof raw.content === 'string' ? raw.content : ''
+    };
+    return { record };
+}
+
+function normalizeConnection(raw, nodeIds) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { reason: 'Not an object' };
+    if (!nodeIds.has(raw.from) || !nodeIds.has(raw.to)) return { reason: 'Endpoint node does not exist' };
+    if (raw.from === raw.to) return { reason: 'Self connection' };
+
+    const record = {
+        ...raw,
+        id: typeof raw.id === 'string' && raw.id ? raw.id : newConnectionId(),
+        arrow: CONNECTION_ARROWS.includes(raw.arrow) ? raw.arrow : 'none',
+        label: typeof raw.label === 'string' ? raw.label : '',
+        color: typeof raw.color === 'string' && raw.color ? raw.color : null,
+        dash: CONNECTION_DASH_STYLES.includes(raw.dash) ? raw.dash : 'solid',
+        fromSide: CONNECTION_SIDES.includes(raw.fromSide) ? raw.fromSide : 'auto',
+        toSide: CONNECTION_SIDES.includes(raw.toSide) ? raw.toSide : 'auto',
+        route: CONNECTION_ROUTES.includes(raw.route) ? raw.route : 'board'
+    };
+    return { record };
+}
+
+// Both historic task shapes (`task-…` with priority/timer fields and the
+// bare `gt_…` one) become the full shape used by addGlobalTask().
+function normalizeTask(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { reason: 'Not an object' };
+    if (typeof raw.id !== 'string' || !raw.id) return { reason: 'Missing id' };
+    if (typeof raw.text !== 'string') return { reason: 'Missing text' };
+
+    // `gt_1700000000000` and `task-1700000000000` both embed the creation time
+    const idTime = parseInt(raw.id.replace(/^\D+/, ''), 10);
+
+    const record = { ...TASK_DEFAULTS, ...raw };
+    record.done = Boolean(raw.done);
+    if (!['low', 'medium', 'high'].includes(record.priority)) record.priority = TASK_DEFAULTS.priority;
+    if (typeof record.dueDate !== 'string' || !record.dueDate) record.dueDate = null;
+    if (!isFiniteNum(record.createdAt)) record.createdAt = Number.isFinite(idTime) ? idTime : Date.now();
+    if (!isFiniteNum(record.timeSpent) || record.timeSpent < 0) record.timeSpent = 0;
+    if (!isFiniteNum(record.lastStartTime)) {
+        record.isRunning = false;
+        record.lastStartTime = null;
+    }
+    record.isRunning = Boolean(record.isRunning);
+    if (!record.link || typeof record.link.boardId !== 'string' || typeof record.link.nodeId !== 'string') {
+        record.link = null;
+    }
+    return { record };
+}
+
+// Run a normalizer over a list; failures go to quarantine tagged with `source`
+function normalizeList(list, source, normalize) {
+    const kept = [];
+    const rejected = [];
+
+    if (!Array.isArray(list)) {
+        if (list !== null && list !== undefined) {
+            rejected.push({ source, reason: 'Expected a list', record: list });
+        }
+        quarantineRecords(rejected);
+        return kept;
+    }
+
+    list.forEach(item => {
+        const result = normalize(item);
+        if (result.record) kept.push(result.record);
+        else rejected.push({ source, reason: result.reason, record: item });
+    });
+
+    quarantineRecords(rejected);
+    return kept;
+}
+
+function normalizeBoardData(boardId) {
+    const nodesKey = boardKey(boardId, 'nodes');
+    const connKey = boardKey(boardId, 'conn');
+
+    const seen = new Set();
+    const nodes = normalizeList(readStoredJSON(nodesKey, []), nodesKey, raw => {
+        const result = normalizeNode(raw);
+        if (result.record) {
+            if (seen.has(result.record.id)) return { reason: 'Duplicate id' };
+            seen.add(result.record.id);
+        }
+        return result;
+    });
+
+    const connIds = new Set();
+    const connections = normalizeList(readStoredJSON(connKey, []), connKey, raw => {
+        const result = normalizeConnection(raw, seen);
+        if (result.record) {
+            if (connIds.has(result.record.id)) result.record.id = newConnectionId();
+            connIds.add(result.record.id);
+        }
+        return result;
+    });
+
+    localStorage.setItem(nodesKey, JSON.stringify(nodes));
+    localStorage.setItem(connKey, JSON.stringify(connections));
+}
+
+// ---------------------------
+// Migration Steps
+// ---------------------------
+// v1: Data from before boards existed lives in `mindflow_nodes` / `mindflow_conn`.
+function migrateLegacyCanvas() {
+    const boards = readStoredJSON('mindflow_boards', null);
+    if (Array.isArray(boards) && boards.length > 0) return;
+
+    const legacyNodes = readStoredJSON('mindflow_nodes', null);
+    const legacyConn = readStoredJSON('mindflow_conn', null);
+    const defaultBoard = { id: 'default', name: 'My Board', createdAt: Date.now() };
+
+    writeBoard(
+        defaultBoard.id,
+        Array.isArray(legacyNodes) ? legacyNodes : defaultNodes,
+        Array.isArray(legacyConn) ? legacyConn : defaultConnections,
+        null
+    );
+    localStorage.setItem('mindflow_boards', JSON.stringify([defaultBoard]));
+    localStorage.setItem('mindflow_active_board', defaultBoard.id);
+    localStorage.removeItem('mindflow_nodes');
+    localStorage.removeItem('mindflow_conn');
+}
+
+// v2: Fill defaults once in storage instead of patching them at every read.
+function migrateNormalizeRecords() {
+    const boards = readStoredJSON('mindflow_boards', []);
+    if (Array.isArray(boards)) {
+        boards.forEach(board => {
+            if (board && typeof board.id === 'string') normalizeBoardData(board.id);
+        });
+    }
+
+    const tasks = normalizeList(readStoredJSON('mindflow_tasks', []), 'mindflow_tasks', normalizeTask);
+    localStorage.setItem('mindflow_tasks', JSON.stringify(tasks));
+}
+
+// v3: Connections become directed and styleable; existing ones keep no arrows.
+function migrateConnectionStyles() {
+    const boards = readStoredJSON('mindflow_boards', []);
+    if (!Array.isArray(boards)) return;
+    boards.forEach(board => {
+        if (board && typeof board.id === 'string') normalizeBoardData(board.id);
+    });
+}
@@ -0,0 +1,187 @@
+// MindFlow - Minimap
+// Scaled overview of every card and connection with the viewport drawn on
+// top. Redrawn from animate() whenever the view or the map changed.
+
+const MINIMAP_KEY = 'mindflow_minimap';
+const MINIMAP_PADDING = 200; // World px around the content
+
+let minimapDirty = true;
+let minimapTransform = null; // World -> minimap mapping from the last draw
+let minimapDragging = false;
+
+// Same palette as the color swatches; white cards use the surface color
+const MINIMAP_NODE_COLORS = {
+    red: '#ef4444',
+    orange: '#f97316',
+    yellow: '#eab308',
+    green: '#22c55e',
+    blue: '#3b82f6',
+    purple: '#a855f7',
+    pink: '#ec4899'
+};
+
+function markMinimapDirty() {
+    minimapDirty = true;
+}
+
+// Visible world rect for the current (animated) view
+function getViewportWorldRect() {
+    return {
+        x: -state.view.x / state.view.scale,
+        y: -state.view.y / state.view.scale,
+        width: window.innerWidth / state.view.scale,
+        height: window.innerHeight / state.view.scale
+    };
+}
+
+function getMinimapBounds(viewport) {
+    let left = viewport.x;
+    let top = viewport.y;
+    let right = viewport.x + viewport.width;
+    let bottom = viewport.y + viewport.height;
+
+    state.nodes.forEach(n => {
+        const { width, height } = getNodeSize(n);
+        left = Math.min(left, n.x - MINIMAP_PADDING);
+        top = Math.min(top, n.y - MINIMAP_PADDING);
+        right = Math.max(right, n.x + width + MINIMAP_PADDING);
+        bottom = Math.max(bottom, n.y + height + MINIMAP_PADDING);
+    });
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// Called every frame by animate(); cheap when nothing changed
+function drawMinimap() {
+    if (!minimapDirty) return;
+    minimapDirty = false;
+
+    const panel = document.getElementById('minimap');
+    const mapCanvas = document.getElementById('minimap-canvas');
+    if (!panel || !mapCanvas || panel.classList.contains('collapsed')) return;
+
+    const ctx = mapCanvas.getContext && mapCanvas.getContext('2d');
+    if (!ctx) return;
+
+    // Crisp on high-DPI screens
+    const ratio = window.devicePixelRatio || 1;
+    const cssWidth = mapCanvas.clientWidth || 200;
+    const cssHeight = mapCanvas.clientHeight || 140;
+    if (mapCanvas.width !== cssWidth * ratio) mapCanvas.width = cssWidth * ratio;
+    if (mapCanvas.height !== cssHeight * ratio) mapCanvas.height = cssHeight * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+
+    const viewport = getViewportWorldRect();
+    // Keep the scale fixed while dragging so the map doesn't shift underfoot
+    const bounds = minimapDragging && minimapTransform ? minimapTransform.bounds : getMinimapBounds(viewport);
+    const scale = Math.min(cssWidth / bounds.width, cssHeight / bounds.height);
+    const offsetX = (cssWidth - bounds.width * scale) / 2 - bounds.x * scale;
+    const offsetY = (cssHeight - bounds.height * scale) / 2 - bounds.y * scale;
+    minimapTransform = { scale, offsetX, offsetY, bounds };
+
+    const toMap = (x, y) => ({ x: x * scale + offsetX, y: y * scale + offsetY });
+    const styles = getComputedStyle(document.body);
+
+    // Connections: straight center-to-center lines are enough at this size
+    ctx.strokeStyle = styles.getPropertyValue('--connection-color').trim() || '#94a3b8';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    syncSpatialIndex();
+    state.connections.forEach(c => {
+        const n1 = getVisibleEndpoint(getIndexedNode(c.from), getIndexedNode);
+        const n2 = getVisibleEndpoint(getIndexedNode(c.to), getIndexedNode);
+        if (!n1 || !n2 || n1 === n2) return;
+        const s1 = getNodeSize(n1);
+        const s2 = getNodeSize(n2);
+        const a = toMap(n1.x + s1.width / 2, n1.y + s1.height / 2);
+        const b = toMap(n2.x + s2.width / 2, n2.y + s2.height / 2);
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+    });
+    ctx.stroke();
+
+    // Cards
+    const surface = styles.getPropertyValue('--bg-surface').trim() || '#ffffff';
+    const border = styles.getPropertyValue('--text-muted').trim() || '#64748b';
+    const hiddenIds = getFrameHiddenIds();
+    getNodeStackOrder().forEach(n => {
+        if (hiddenIds.has(n.id)) return;
+        const { width, height } = getNodeSize(n);
+        const p = toMap(n.x, n.y);
+        const w = Math.max(width * scale, 2);
+        const h = Math.max(height * scale, 2);
+        // Open frames are outlines, so the cards inside stay visible
+        if (!isFrame(n) || n.collapsed) {
+            ctx.fillStyle = MINIMAP_NODE_COLORS[n.color] || surface;
+            ctx.fillRect(p.x, p.y, w, h);
+        }
+        ctx.strokeStyle = isFrame(n) ? MINIMAP_NODE_COLORS[n.color] || border : border;
+        ctx.lineWidth = isFrame(n) ? 1 : 0.5;
+        ctx.strokeRect(p.x, p.y, w, h);
+    });
+
+    // Viewport
+    const v = toMap(viewport.x, viewport.y);
+    ctx.strokeStyle = styles.getPropertyValue('--primary').trim() || '#3b82f6';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(v.x, v.y, viewport.width * scale, viewport.height * scale);
+}
+
+// ---------------------------
+// Interaction
+// ---------------------------
+// Center the main view on the world point under the minimap pointer
+function panToMinimapPoint(e) {
+    const mapCanvas = document.getElementById('minimap-canvas');
+    if (!mapCanvas || !minimapTransform) return;
+
+    const rect = mapCanvas.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = minimapTransform;
+    const worldX = (e.clientX - rect.left - offsetX) / scale;
+    const worldY = (e.clientY - rect.top - offsetY) / scale;
+
+    state.view.targetX = window.innerWidth / 2 - worldX * state.view.targetScale;
+    state.view.targetY = window.innerHeight / 2 - worldY * state.view.targetScale;
+    scheduleViewSave();
+}
+
+function setMinimapCollapsed(collapsed) {
+    const panel = document.getElementById('minimap');
+    if (!panel) return;
+    panel.classList.toggle('collapsed', collapsed);
+    localStorage.setItem(MINIMAP_KEY, collapsed ? 'collapsed' : 'open');
+
+    const toggle = document.getElementById('btn-minimap-toggle');
+    if (toggle) toggle.title = collapsed ? 'Show minimap' : 'Hide minimap';
+    markMinimapDirty();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const panel = document.getElementById('minimap');
+    const mapCanvas = document.getElementById('minimap-canvas');
+    if (!panel || !mapCanvas) return;
+
+    setMinimapCollapsed(localStorage.getItem(MINIMAP_KEY) === 'collapsed');
+
+    document.getElementById('btn-minimap-toggle')?.addEventListener('click', () => {
+        setMinimapCollapsed(!panel.classList.contains('collapsed'));
+    });
+
+    mapCanvas.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        minimapDragging = true;
+        panToMinimapPoint(e);
+    });
+    window.addEventListener('pointermove', (e) => {
+        if (minimapDragging) panToMinimapPoint(e);
+    });
+    window.addEventListener('pointerup', () => {
+        if (!minimapDragging) return;
+        minimapDragging = false;
+        saveView();
+    });
+    window.addEventListener('resize', markMinimapDirty);
+});
@@ -0,0 +1,367 @@
+// MindFlow - Outline Export / Import (Markdown lists, OPML)
+// Export walks connections (from -> to) starting at root notes, the ones
+// nothing points to. A note is written in full the first time it is
+// reached; any later parent (a second parent, or a link back that closes a
+// cycle) gets a reference item instead, so every note appears once and the
+// walk always ends. Notes only reachable through a cycle are started from
+// the first of them in reading order.
+// A referenced note carries an anchor ("n1", "n2", …) and its references
+// point at it: "Text {#n3}" and "↪ [Text](#n3)" in Markdown, _anchor and
+// _ref attributes in OPML. Import links references by anchor only, so
+// notes with the same first line, or text that happens to start with "↪",
+// come back as they were.
+
+const OUTLINE_REF_PREFIX = '↪ ';
+const OUTLINE_ANCHOR = /\s\{#([\w-]+)\}$/; // "Text {#n3}" (first line of a note)
+const OUTLINE_REF_LINK = /^↪ \[(.*)\]\(#([\w-]+)\)$/; // "↪ [Text](#n3)"
+const OUTLINE_INDENT = '  ';
+const OUTLINE_BULLET = /^( *)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const OUTLINE_HEADING = /^(#{1,6})\s+(.*)$/;
+
+// ---------------------------
+// Export
+// ---------------------------
+function getOutlineText(node) {
+    if (node.type === 'image') return node.alt ? `[image: ${node.alt}]` : '[image]';
+    return (node.content || '').replace(/\r/g, '');
+}
+
+// Reading order: top-to-bottom, then left-to-right
+function compareReadingOrder(a, b) {
+    return (a.targetY ?? a.y) - (b.targetY ?? b.y) || (a.targetX ?? a.x) - (b.targetX ?? b.x);
+}
+
+// Resolves the board into a forest of { node, ref, children }. Frames are
+// regions, not notes, and are left out.
+function buildOutlineForest() {
+    const notes = state.nodes.filter(n => !isFrame(n));
+    const byId = new Map(notes.map(n => [n.id, n]));
+    const children = new Map(notes.map(n => [n.id, []]));
+    const hasParent = new Set();
+
+    state.connections.forEach(c => {
+        if (!byId.has(c.from) || !byId.has(c.to) || c.from === c.to) return;
+        const list = children.get(c.from);
+        if (!list.includes(c.to)) list.push(c.to);
+        hasParent.add(c.to);
+    });
+    children.forEach(list => list.sort((a, b) => compareReadingOrder(byId.get(a), byId.get(b))));
+
+    const written = new Set();
+    const walk = (id) => {
+        if (written.has(id)) return { node: byId.get(id), ref: true, children: [] };
+        written.add(id);
+        return { node: byId.get(id), ref: false, children: children.get(id).map(walk) };
+    };
+
+    const ordered = notes.sort(compareReadingOrder);
+    const forest = ordered.filter(n => !hasParent.has(n.id)).map(n => walk(n.id));
+
+    // Whatever is left hangs off a cycle with no way in
+    ordered.forEach(n => {
+        if (!written.has(n.id)) forest.push(walk(n.id));
+    });
+    assignOutlineAnchors(forest);
+    return forest;
+}
+
+// Sets `anchor` on referenced notes (numbered in writing order, which puts
+// each before its references) and on the references to them. A note whose
+// first line already ends like an anchor gets one too, so import strips
+// only what export added.
+function assignOutlineAnchors(forest) {
+    const referenced = new Set();
+    const collect = (item) => {
+        if (item.ref) referenced.add(item.node.id);
+        item.children.forEach(collect);
+    };
+    forest.forEach(collect);
+
+    const anchors = new Map();
+    const assign = (item) => {
+        const firstLine = getOutlineText(item.node).split('\n')[0];
+        if (!item.ref && (referenced.has(item.node.id) || OUTLINE_ANCHOR.test(firstLine))) {
+            anchors.set(item.node.id, `n${anchors.size + 1}`);
+        }
+        item.anchor = anchors.get(item.node.id) || null;
+        item.children.forEach(assign);
+    };
+    forest.forEach(assign);
+}
+
+function outlineItemText(item) {
+    const text = getOutlineText(item.node);
+    return item.ref ? OUTLINE_REF_PREFIX + text.split('\n')[0] : text;
+}
+
+// "↪ [Text](#n3)" for references; notes get their anchor after the first
+// line, and a "\" if that line could be read as a reference or an escape
+function markdownItemText(item) {
+    const [first, ...rest] = getOutlineText(item.node).split('\n');
+    if (item.ref) return `${OUTLINE_REF_PREFIX}[${first}](#${item.anchor})`;
+
+    let head = first.startsWith(OUTLINE_REF_PREFIX.trim()) || first.startsWith('\\') ? '\\' + first : first;
+    if (item.anchor) head += ` {#${item.anchor}}`;
+    return [head, ...rest].join('\n');
+}
+
+// Continuation lines that look like list syntax are escaped with "\"
+function escapeMarkdownLine(line) {
+    return OUTLINE_BULLET.test(line) || OUTLINE_HEADING.test(line) || /^\\/.test(line) ? '\\' + line : line;
+}
+
+function buildMarkdownOutline() {
+    const lines = [];
+    const write = (item, depth) => {
+        const indent = OUTLINE_INDENT.repeat(depth);
+        const [first, ...rest] = markdownItemText(item).split('\n');
+        lines.push(`${indent}- ${first}`.trimEnd());
+        rest.forEach(line => lines.push(line.trim() ? `${indent}${OUTLINE_INDENT}${escapeMarkdownLine(line)}` : ''));
+        item.children.forEach(child => write(child, depth + 1));
+    };
+    buildOutlineForest().forEach(item => write(item, 0));
+    return lines.join('\n') + '\n';
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\t/g, '&#9;');
+}
+
+function buildOPMLOutline() {
+    const title = getActiveBoard()?.name || 'My Board';
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        `  <head><title>${escapeXML(title)}</title><dateCreated>${new Date().toUTCString()}</dateCreated></head>`,
+        '  <body>'
+    ];
+    const write = (item, depth) => {
+        const indent = '    ' + OUTLINE_INDENT.repeat(depth);
+        let open = `${indent}<outline text="${escapeXML(outlineItemText(item))}"`;
+        if (item.anchor) open += ` ${item.ref ? '_ref' : '_anchor'}="${item.anchor}"`;
+        if (item.children.length === 0) {
+            lines.push(`${open}/>`);
+            return;
+        }
+        lines.push(`${open}>`);
+        item.children.forEach(child => write(child, depth + 1));
+        lines.push(`${indent}</outline>`);
+    };
+    buildOutlineForest().forEach(item => write(item, 0));
+    lines.push('  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+}
+
+function exportOutline(format) {
+    if (state.nodes.length === 0) {
+        alert('Nothing to export: this board is empty.');
+        return;
+    }
+    const name = slugify(getActiveBoard()?.name);
+    if (format === 'opml') downloadFile(`${name}.opml`, buildOPMLOutline(), 'text/x-opml');
+    else downloadFile(`${name}.md`, buildMarkdownOutline(), 'text/markdown');
+}
+
+// ---------------------------
+// Import
+// ---------------------------
+// { text, anchor, ref, children } from an item's first line (see
+// markdownItemText)
+function createMarkdownItem(line, indent) {
+    const item = { text: line, anchor: null, ref: null, children: [], indent: indent };
+    const ref = line.match(OUTLINE_REF_LINK);
+    if (ref) {
+        item.text = ref[1];
+        item.ref = ref[2];
+        return item;
+    }
+
+    const anchor = line.match(OUTLINE_ANCHOR);
+    if (anchor) {
+        item.anchor = anchor[1];
+        item.text = line.slice(0, anchor.index);
+    }
+    if (item.text.startsWith('\\')) item.text = item.text.slice(1);
+    return item;
+}
+
+// Bullets nest by indentation, headings by level (a heading's bullets are
+// its children). Indented lines that aren't bullets continue the item above.
+function parseMarkdownOutline(source) {
+    const roots = [];
+    const stack = []; // { indent, level, item }; level is set for headings
+    const attach = (item) => (stack.length ? stack[stack.length - 1].item.children : roots).push(item);
+    let last = null;
+
+    source.replace(/\r/g, '').split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/\t/g, '    ');
+        if (!line.trim()) return;
+
+        const heading = line.match(OUTLINE_HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            while (stack.length && !(stack[stack.length - 1].level && stack[stack.length - 1].level < level)) stack.pop();
+            // Text below a heading starts a new item rather than continuing it
+            last = createMarkdownItem(heading[2].trim(), Infinity);
+            attach(last);
+            stack.push({ indent: -1, level: level, item: last });
+            return;
+        }
+
+        const bullet = line.match(OUTLINE_BULLET);
+        const indent = line.length - line.trimStart().length;
+        if (!bullet && last && indent > last.indent) {
+            last.text += '\n' + line.trim().replace(/^\\/, '');
+            return;
+        }
+
+        const text = bullet ? bullet[2] : line.trim();
+        while (stack.length && !stack[stack.length - 1].level && stack[stack.length - 1].indent >= indent) stack.pop();
+        last = createMarkdownItem(text.trim(), indent);
+        attach(last);
+        stack.push({ indent: indent, level: 0, item: last });
+    });
+    return roots;
+}
+
+// Returns null when the file isn't OPML
+function parseOPMLOutline(source) {
+    const doc = new DOMParser().parseFromString(source, 'text/xml');
+    const body = doc.querySelector('opml > body');
+    if (doc.querySelector('parsererror') || !body) return null;
+
+    const read = (el) => {
+        const text = el.getAttribute('text') ?? el.getAttribute('title') ?? '';
+        const note = el.getAttribute('_note');
+        return {
+            text: note ? `${text}\n${note}` : text,
+            anchor: el.getAttribute('_anchor'),
+            ref: el.getAttribute('_ref'),
+            children: Array.from(el.children).filter(c => c.tagName === 'outline').map(read)
+        };
+    };
+    return Array.from(body.children).filter(c => c.tagName === 'outline').map(read);
+}
+
+// Add the outline to the board as linked notes, laid out as a tree from
+// the middle of the screen. One undo step.
+function applyOutlineImport(roots) {
+    const created = [];
+    const anchors = new Map(); // Anchor -> node id
+    const references = []; // { item, parentId }, linked once every anchor is known
+    const size = NODE_DEFAULT_SIZES.text;
+    const origin = screenToWorld(window.innerWidth / 2, window.innerHeight / 2);
+
+    const link = (parentId, id) => {
+        if (parentId && !state.connections.some(c => c.from === parentId && c.to === id)) {
+            state.connections.push(createConnection(parentId, id, { fromSide: 'right', toSide: 'left' }));
+        }
+    };
+
+    const add = (item, parentId) => {
+        if (item.ref) {
+            references.push({ item, parentId });
+            return;
+        }
+
+        const node = {
+            id: uniqueNodeId(),
+            x: origin.x,
+            y: origin.y,
+            targetX: origin.x,
+            targetY: origin.y,
+            width: size.width,
+            height: size.height,
+            content: item.text,
+            color: 'white',
+            type: 'text'
+        };
+        state.nodes.push(node);
+        created.push(node);
+        if (item.anchor && !anchors.has(item.anchor)) anchors.set(item.anchor, node.id);
+
+        link(parentId, node.id);
+        item.children.forEach(child => add(child, node.id));
+    };
+    roots.forEach(item => add(item, null));
+
+    // A reference to an anchor the file doesn't have becomes a plain note
+    for (let i = 0; i < references.length; i++) {
+        const { item, parentId } = references[i];
+        const target = anchors.get(item.ref);
+        if (!target) {
+            add({ ...item, ref: null }, parentId);
+            continue;
+        }
+        link(parentId, target);
+        item.children.forEach(child => add(child, target));
+    }
+
+    if (created.length === 0) {
+        alert('Import failed: no outline items were found in the file.');
+        return;
+    }
+
+    // Tree layout, top-left corner at the screen center
+    const positions = layoutTree(created, true);
+    created.forEach(n => {
+        const p = positions.get(n.id);
+        n.targetX = Math.round(origin.x + p.x);
+        n.targetY = Math.round(origin.y + p.y);
+    });
+
+    state.selection = new Set(created.map(n => n.id));
+    saveData();
+    renderNodes();
+    renderConnections();
+    pushHistory('Import outline');
+}
+
+function importOutlineFile(file) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const source = String(event.target.result || '');
+        const looksLikeXML = /\.(opml|xml)$/i.test(file.name) || source.trimStart().startsWith('<');
+
+        const roots = looksLikeXML ? parseOPMLOutline(source) : parseMarkdownOutline(source);
+        if (!roots) {
+            alert('Import failed: the file is not valid OPML.');
+            return;
+        }
+        applyOutlineImport(roots);
+    };
+    reader.readAsText(file);
+}
+
+window.handleOutlineAction = function (action) {
+    closeContextMenu();
+
+    switch (action) {
+        case 'export-markdown':
+            exportOutline('markdown');
+            break;
+        case 'export-opml':
+            exportOutline('opml');
+            break;
+        case 'import':
+            if (state.isReadOnly) return;
+            document.getElementById('import-outline-input')?.click();
+            break;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('import-outline-input');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) importOutlineFile(file);
+        fileInput.value = ''; // Allow re-importing the same file
+    });
+});
@@ -0,0 +1,41 @@
+// MindFlow - Safe Rendering
+// Note text, task text, ids and image sources come from the user or from
+// imported files, so none of them is ever parsed as markup. HTML templates
+// hold fixed structure only; user strings go in as text or attribute
+// values through htmlElement, and image sources must pass safeImageURL.
+// Controls inside rendered cards and tasks carry a data-*-action attribute
+// instead of an inline handler (see handleNodeAction and handleTaskAction
+// in main.js, handleFrameAction in frames.js). tests/hostile-inputs.html
+// runs a payload corpus through the renderers and importers to check all
+// of this.
+
+const SAFE_IMAGE_SCHEMES = ['data:', 'blob:', 'https:'];
+
+// Build an element; `attrs` are set as attributes except `text` (text
+// content) and `className`. Nothing passed in is parsed as HTML.
+function htmlElement(name, attrs = {}, parent) {
+    const el = document.createElement(name);
+    Object.entries(attrs).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (key === 'text') el.textContent = String(value);
+        else if (key === 'className') el.className = String(value);
+        else el.setAttribute(key, value === true ? '' : String(value));
+    });
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// The URL if an <img> may load it, else ''. Only data:image/, blob: and
+// https: pass; javascript:, plain http: and relative paths do not.
+function safeImageURL(url) {
+    if (typeof url !== 'string') return '';
+    // Browsers ignore tabs, newlines and leading spaces in a scheme
+    const compact = url.replace(/[\t\n\r]/g, '').trim();
+    const match = /^([a-z][a-z0-9+.-]*:)/i.exec(compact);
+    if (!match) return '';
+
+    const scheme = match[1].toLowerCase();
+    if (!SAFE_IMAGE_SCHEMES.includes(scheme)) return '';
+    if (scheme === 'data:' && !/^data:image\//i.test(compact)) return '';
+    return compact;
+}
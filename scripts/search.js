@@ -0,0 +1,179 @@
+// MindFlow - Search (Ctrl+F)
+// Searches note text, image alt text and global tasks. Matching cards are
+// highlighted and the rest dimmed as you type; only Enter and next/previous
+// fly to a result. Cards hidden in collapsed frames are left out.
+
+const searchState = {
+    open: false,
+    query: '',
+    results: [], // { kind: 'node' | 'task', id }
+    index: -1
+};
+
+// ---------------------------
+// Matching
+// ---------------------------
+function normalizeSearchText(text) {
+    return (text || '').toLocaleLowerCase();
+}
+
+function nodeMatchesQuery(node, query) {
+    return normalizeSearchText(node.content).includes(query) ||
+        normalizeSearchText(node.alt).includes(query);
+}
+
+// Cards in reading order (top-to-bottom, then left-to-right), then tasks
+// in the order the Tasks view shows them
+function findSearchResults(rawQuery) {
+    const query = normalizeSearchText(rawQuery.trim());
+    if (!query) return [];
+
+    const hiddenIds = getFrameHiddenIds();
+    const nodes = state.nodes
+        .filter(n => !hiddenIds.has(n.id) && nodeMatchesQuery(n, query))
+        .sort((a, b) => (a.targetY ?? a.y) - (b.targetY ?? b.y) || (a.targetX ?? a.x) - (b.targetX ?? b.x))
+        .map(n => ({ kind: 'node', id: n.id }));
+
+    const tasks = state.globalTasks
+        .filter(t => normalizeSearchText(t.text).includes(query))
+        .map(t => ({ kind: 'task', id: t.id }));
+
+    return nodes.concat(tasks);
+}
+
+// ---------------------------
+// Highlighting
+// ---------------------------
+// Re-applied after every renderNodes() so new cards pick up the highlight
+function applySearchHighlights() {
+    const active = searchState.open && searchState.query.trim() !== '';
+    nodeContainer.classList.toggle('searching', active);
+
+    const matches = new Set(searchState.results.filter(r => r.kind === 'node').map(r => r.id));
+    const current = searchState.results[searchState.index];
+
+    state.nodes.forEach(node => {
+        const el = document.getElementById(node.id);
+        if (!el) return;
+        el.classList.toggle('search-match', active && matches.has(node.id));
+        el.classList.toggle('search-current', active && current?.kind === 'node' && current.id === node.id);
+    });
+
+    document.querySelectorAll('[data-task-id]').forEach(el => {
+        el.classList.toggle('search-match', active && searchState.results.some(r => r.kind === 'task' && r.id === el.dataset.taskId));
+    });
+}
+
+function updateSearchCount() {
+    const count = document.getElementById('search-count');
+    if (!count) return;
+
+    if (!searchState.query.trim()) count.textContent = '';
+    else if (searchState.results.length === 0) count.textContent = 'No results';
+    else if (searchState.index < 0) count.textContent = `${searchState.results.length} found`;
+    else count.textContent = `${searchState.index + 1} / ${searchState.results.length}`;
+
+    document.getElementById('search-bar')?.classList.toggle('no-results',
+        searchState.query.trim() !== '' && searchState.results.length === 0);
+}
+
+// ---------------------------
+// Navigation
+// ---------------------------
+function showSearchResult(index) {
+    const total = searchState.results.length;
+    if (total === 0) return;
+
+    searchState.index = (index + total) % total;
+    const result = searchState.results[searchState.index];
+
+    if (result.kind === 'node') {
+        if (state.currentView !== 'canvas') window.switchView('canvas');
+        focusNode(result.id);
+    } else {
+        revealTask(result.id);
+    }
+
+    applySearchHighlights();
+    updateSearchCount();
+}
+
+// Next (+1) or previous (-1); before the first jump, previous is the last
+function stepSearchResult(delta) {
+    if (searchState.index < 0) showSearchResult(delta > 0 ? 0 : -1);
+    else showSearchResult(searchState.index + delta);
+}
+
+// Switch to the Tasks view and bring the task row into view
+function revealTask(taskId) {
+    if (!state.globalTasks.some(t => t.id === taskId)) return;
+
+    setTaskFilter('all');
+    if (state.currentView !== 'tasks') window.switchView('tasks');
+
+    const el = document.querySelector(`[data-task-id="${CSS.escape(taskId)}"]`);
+    if (!el) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add('flash');
+    setTimeout(() => el.classList.remove('flash'), 1200);
+}
+
+function runSearch(query) {
+    searchState.query = query;
+    searchState.results = findSearchResults(query);
+    // Typing only highlights; moving the view waits for Enter
+    searchState.index = -1;
+    applySearchHighlights();
+    updateSearchCount();
+}
+
+// ---------------------------
+// Overlay
+// ---------------------------
+function openSearch() {
+    const bar = document.getElementById('search-bar');
+    const input = document.getElementById('search-input');
+    if (!bar || !input) return;
+
+    closeContextMenu();
+    searchState.open = true;
+    bar.classList.add('visible');
+    input.focus();
+    input.select();
+
+    // Results may be stale if the map changed while the bar was closed
+    if (input.value.trim()) {
+        searchState.query = input.value;
+        searchState.results = findSearchResults(input.value);
+        searchState.index = Math.min(searchState.index, searchState.results.length - 1);
+    }
+    applySearchHighlights();
+    updateSearchCount();
+}
+
+function closeSearch() {
+    searchState.open = false;
+    document.getElementById('search-bar')?.classList.remove('visible');
+    document.getElementById('search-input')?.blur();
+    applySearchHighlights();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('search-input');
+    if (!input) return;
+
+    input.addEventListener('input', () => runSearch(input.value));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepSearchResult(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeSearch();
+        }
+    });
+
+    document.getElementById('btn-search-prev')?.addEventListener('click', () => stepSearchResult(-1));
+    document.getElementById('btn-search-next')?.addEventListener('click', () => stepSearchResult(1));
+    document.getElementById('btn-search-close')?.addEventListener('click', closeSearch);
+});
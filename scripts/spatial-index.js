@@ -0,0 +1,164 @@
+// MindFlow - Spatial Index & Viewport Culling
+// Cards are bucketed into a uniform grid so "what is near this rect" is a
+// handful of cell lookups instead of a scan. Cards and connections well
+// outside the viewport are skipped while rendering.
+
+const SPATIAL_CELL_SIZE = 400; // World px per grid cell
+const CULL_MARGIN = 200; // Screen px rendered beyond each viewport edge
+const CONNECTION_CULL_PAD = 220; // Detours and elbows stay within this of their cards
+
+const spatialIndex = {
+    cells: new Map(), // "cx,cy" -> Set of node ids
+    entries: new Map(), // Node id -> { node, x, y, width, height, keys, stamp }
+    stamp: 0
+};
+
+let culledNodeIds = new Set();
+
+// ---------------------------
+// Index
+// ---------------------------
+function getSpatialCellKeys(left, top, right, bottom) {
+    const keys = [];
+    const x0 = Math.floor(left / SPATIAL_CELL_SIZE);
+    const x1 = Math.floor(right / SPATIAL_CELL_SIZE);
+    const y0 = Math.floor(top / SPATIAL_CELL_SIZE);
+    const y1 = Math.floor(bottom / SPATIAL_CELL_SIZE);
+    for (let cx = x0; cx <= x1; cx++) {
+        for (let cy = y0; cy <= y1; cy++) keys.push(`${cx},${cy}`);
+    }
+    return keys;
+}
+
+function removeFromCells(id, entry) {
+    entry.keys.forEach(key => {
+        const cell = spatialIndex.cells.get(key);
+        if (!cell) return;
+        cell.delete(id);
+        if (cell.size === 0) spatialIndex.cells.delete(key);
+    });
+    entry.keys = [];
+}
+
+// One pass over state.nodes; only cards whose rect changed are re-bucketed.
+// Call before querying - nodes are moved and replaced all over the app.
+function syncSpatialIndex() {
+    const stamp = ++spatialIndex.stamp;
+
+    state.nodes.forEach(node => {
+        const { width, height } = getNodeSize(node);
+        let entry = spatialIndex.entries.get(node.id);
+        if (!entry) {
+            entry = { node, x: NaN, y: NaN, width: 0, height: 0, keys: [], stamp };
+            spatialIndex.entries.set(node.id, entry);
+        }
+        entry.node = node;
+        entry.stamp = stamp;
+        if (entry.x === node.x && entry.y === node.y && entry.width === width && entry.height === height) return;
+
+        removeFromCells(node.id, entry);
+        entry.x = node.x;
+        entry.y = node.y;
+        entry.width = width;
+        entry.height = height;
+        entry.keys = getSpatialCellKeys(node.x, node.y, node.x + width, node.y + height);
+        entry.keys.forEach(key => {
+            if (!spatialIndex.cells.has(key)) spatialIndex.cells.set(key, new Set());
+            spatialIndex.cells.get(key).add(node.id);
+        });
+    });
+
+    // Drop cards that left the board
+    spatialIndex.entries.forEach((entry, id) => {
+        if (entry.stamp === stamp) return;
+        removeFromCells(id, entry);
+        spatialIndex.entries.delete(id);
+    });
+}
+
+// Node by id as of the last sync
+function getIndexedNode(id) {
+    const entry = spatialIndex.entries.get(id);
+    return entry ? entry.node : null;
+}
+
+// Cards overlapping { left, top, right, bottom } (current positions)
+function queryNodesInRect(rect) {
+    const found = [];
+    const seen = new Set();
+    getSpatialCellKeys(rect.left, rect.top, rect.right, rect.bottom).forEach(key => {
+        const cell = spatialIndex.cells.get(key);
+        if (!cell) return;
+        cell.forEach(id => {
+            if (seen.has(id)) return;
+            seen.add(id);
+            const e = spatialIndex.entries.get(id);
+            if (e.x < rect.right && e.x + e.width > rect.left && e.y < rect.bottom && e.y + e.height > rect.top) {
+                found.push(e.node);
+            }
+        });
+    });
+    return found;
+}
+
+// ---------------------------
+// Viewport Culling
+// ---------------------------
+// Visible world rect plus a margin, so short pans don't reveal gaps
+function getCullingRect() {
+    const margin = CULL_MARGIN / state.view.scale;
+    const view = getViewportWorldRect();
+    return {
+        left: view.x - margin,
+        top: view.y - margin,
+        right: view.x + view.width + margin,
+        bottom: view.y + view.height + margin
+    };
+}
+
+// Conservative: a curve never leaves the hull of its control points, which
+// reach at most 40% of the anchor distance out of the cards
+function isConnectionNearRect(n1, n2, rect) {
+    const a = spatialIndex.entries.get(n1.id);
+    const b = spatialIndex.entries.get(n2.id);
+    if (!a || !b) return true;
+
+    const left = Math.min(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    const right = Math.max(a.x + a.width, b.x + b.width);
+    const bottom = Math.max(a.y + a.height, b.y + b.height);
+    const pad = Math.max(CONNECTION_CULL_PAD, Math.hypot(right - left, bottom - top) * 0.4);
+
+    return left - pad < rect.right && right + pad > rect.left &&
+        top - pad < rect.bottom && bottom + pad > rect.top;
+}
+
+// Hide cards far off screen. Selected cards and the one being typed in stay
+// rendered so focus and keyboard editing keep working. `force` re-applies
+// the class to every card (after renderNodes rebuilt them).
+function applyNodeCulling(force) {
+    syncSpatialIndex();
+
+    const visible = new Set(queryNodesInRect(getCullingRect()).map(n => n.id));
+    state.selection.forEach(id => visible.add(id));
+    const focused = document.activeElement && document.activeElement.closest && document.activeElement.closest('.node');
+    if (focused) visible.add(focused.id);
+
+    const culled = new Set();
+    state.nodes.forEach(node => {
+        if (visible.has(node.id)) return;
+        culled.add(node.id);
+        if (force || !culledNodeIds.has(node.id)) document.getElementById(node.id)?.classList.add('culled');
+    });
+    culledNodeIds.forEach(id => {
+        if (!culled.has(id)) document.getElementById(id)?.classList.remove('culled');
+    });
+    if (force) {
+        visible.forEach(id => document.getElementById(id)?.classList.remove('culled'));
+    }
+    culledNodeIds = culled;
+}
+
+function isNodeCulled(id) {
+    return culledNodeIds.has(id);
+}
@@ -0,0 +1,346 @@
+// MindFlow - Image Blob Store (IndexedDB) & Storage Usage
+
+// Image nodes reference their binary by content hash (`node.imageHash`).
+// localStorage only ever holds the hash; the bytes live in IndexedDB.
+const IMAGE_DB_NAME = 'mindflow';
+const IMAGE_DB_VERSION = 1;
+const IMAGE_STORE = 'images';
+
+// Browsers give localStorage roughly 5MB per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+let imageDBPromise = null;
+const imageURLCache = new Map(); // Hash -> object URL
+let gcTimer = null;
+let storageIndicatorTimer = null;
+let saveFailureReported = false;
+
+// ---------------------------
+// IndexedDB Plumbing
+// ---------------------------
+function openImageDB() {
+    if (imageDBPromise) return imageDBPromise;
+
+    imageDBPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(IMAGE_DB_NAME, IMAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                db.createObjectStore(IMAGE_STORE, { keyPath: 'hash' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let callers retry later instead of caching the failure forever
+    imageDBPromise.catch(() => { imageDBPromise = null; });
+    return imageDBPromise;
+}
+
+// Run one request against the image store and resolve with its result
+function imageStoreRequest(mode, makeRequest) {
+    return openImageDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(IMAGE_STORE, mode);
+        const request = makeRequest(tx.objectStore(IMAGE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+// ---------------------------
+// Hashing
+// ---------------------------
+function bufferToHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// FNV-1a fallback for contexts without SubtleCrypto (e.g. plain http)
+function fnvHash(bytes) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < bytes.length; i++) {
+        h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+        h2 = Math.imul(h2 ^ bytes[bytes.length - 1 - i], 0x811c9dc5);
+    }
+    return 'fnv-' + (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0') + bytes.length.toString(16);
+}
+
+function hashBlob(blob) {
+    return blob.arrayBuffer().then(buffer => {
+        if (window.crypto && crypto.subtle) {
+            return crypto.subtle.digest('SHA-256', buffer).then(digest => 'sha256-' + bufferToHex(digest));
+        }
+        return fnvHash(new Uint8Array(buffer));
+    });
+}
+
+// ---------------------------
+// Blob Store API
+// ---------------------------
+// Stores the blob (deduplicated by content) and resolves with its hash
+function storeImageBlob(blob) {
+    return hashBlob(blob).then(hash => imageStoreRequest('readwrite', store => store.put({
+        hash: hash,
+        blob: blob,
+        type: blob.type,
+        size: blob.size,
+        createdAt: Date.now()
+    })).then(() => hash));
+}
+
+function getImageBlob(hash) {
+    return imageStoreRequest('readonly', store => store.get(hash)).then(record => record ? record.blob : null);
+}
+
+function getImageURL(hash) {
+    if (imageURLCache.has(hash)) return Promise.resolve(imageURLCache.get(hash));
+
+    return getImageBlob(hash).then(blob => {
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        imageURLCache.set(hash, url);
+        return url;
+    }).catch(e => {
+        console.warn('MindFlow: Could not load image', hash, e);
+        return null;
+    });
+}
+
+function dataURLToBlob(dataURL) {
+    return fetch(dataURL).then(res => res.blob());
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Point an <img> at a node's image, resolving stored blobs asynchronously
+function bindImageSource(img, node) {
+    if (!node.imageHash) {
+        // Only data:image/, blob: and https: sources load (see safe-dom.js)
+        const src = safeImageURL(node.src);
+        img.src = src;
+        if (node.src && !src) img.classList.add('image-missing');
+        return;
+    }
+
+    const cached = imageURLCache.get(node.imageHash);
+    if (cached) {
+        img.src = cached;
+        return;
+    }
+
+    img.classList.add('image-loading');
+    getImageURL(node.imageHash).then(url => {
+        img.classList.remove('image-loading');
+        if (url) img.src = url;
+        else img.classList.add('image-missing');
+    });
+}
+
+// Resolve a node's image to a self-contained data URL (for export files)
+function getNodeImageDataURL(node) {
+    if (!node.imageHash) return Promise.resolve(safeImageURL(node.src) || null);
+    return getImageBlob(node.imageHash)
+        .then(blob => (blob ? blobToDataURL(blob) : null))
+        .catch(() => null);
+}
+
+// ---------------------------
+// Inline Image Migration
+// ---------------------------
+// Moves `data:` image sources into the blob store, replacing them with a hash.
+// Mutates the given nodes; resolves true if any node changed.
+function internalizeNodeImages(nodes) {
+    const inline = nodes.filter(n => n.type === 'image' && !n.imageHash &&
+        typeof n.src === 'string' && n.src.startsWith('data:'));
+    if (inline.length === 0) return Promise.resolve(false);
+
+    return Promise.all(inline.map(node => dataURLToBlob(node.src)
+        .then(storeImageBlob)
+        .then(hash => {
+            node.imageHash = hash;
+            delete node.src;
+            return true;
+        })
+        .catch(e => {
+            console.warn('MindFlow: Could not move image into storage', node.id, e);
+            return false;
+        })
+    )).then(results => results.some(Boolean));
+}
+
+// Internalize every board: the live one through state, the rest in storage
+function internalizeAllBoards() {
+    const others = state.boards.filter(b => b.id !== state.activeBoardId);
+
+    const active = internalizeNodeImages(state.nodes).then(changed => {
+        if (!changed) return;
+        saveData();
+        renderNodes();
+    });
+
+    const rest = others.map(board => {
+        const key = boardKey(board.id, 'nodes');
+        const nodes = readStoredJSON(key, []);
+        if (!Array.isArray(nodes)) return Promise.resolve();
+        return internalizeNodeImages(nodes).then(changed => {
+            if (changed) localStorage.setItem(key, JSON.stringify(nodes));
+        });
+    });
+
+    return Promise.all([active, ...rest]);
+}
+
+// ---------------------------
+// Garbage Collection
+// ---------------------------
+// A blob is live while any board, undo step or stashed board history uses it
+function collectReferencedHashes() {
+    const hashes = new Set();
+    const addNodes = (nodes) => {
+        if (!Array.isArray(nodes)) return;
+        nodes.forEach(n => { if (n && n.imageHash) hashes.add(n.imageHash); });
+    };
+    const addHistory = (history) => {
+        (history || []).forEach(step => {
+            const records = (step.changes || [])
+                .filter(c => c.kind === 'node')
+                .flatMap(c => [c.before, c.after]);
+            addNodes(records.filter(Boolean));
+        });
+    };
+
+    addNodes(state.nodes);
+    addHistory(state.history);
+    Object.values(state.boardHistories).forEach(h => addHistory(h.history));
+    state.boards.forEach(board => {
+        if (board.id !== state.activeBoardId) addNodes(readStoredJSON(boardKey(board.id, 'nodes'), []));
+    });
+
+    return hashes;
+}
+
+function collectImageGarbage() {
+    const referenced = collectReferencedHashes();
+
+    return imageStoreRequest('readonly', store => store.getAllKeys()).then(keys => {
+        const orphans = keys.filter(hash => !referenced.has(hash));
+        if (orphans.length === 0) return 0;
+
+        return imageStoreRequest('readwrite', store => {
+            orphans.forEach(hash => store.delete(hash));
+            return store.count();
+        }).then(() => {
+            orphans.forEach(hash => {
+                const url = imageURLCache.get(hash);
+                if (url) URL.revokeObjectURL(url);
+                imageURLCache.delete(hash);
+            });
+            return orphans.length;
+        });
+    }).catch(e => {
+        console.warn('MindFlow: Image cleanup failed', e);
+        return 0;
+    });
+}
+
+// Deletions are frequent and undoable: clean up lazily
+function scheduleImageGarbageCollection() {
+    clearTimeout(gcTimer);
+    gcTimer = setTimeout(() => {
+        collectImageGarbage().then(scheduleStorageIndicatorUpdate);
+    }, 5000);
+}
+
+// ---------------------------
+// Storage Usage Indicator
+// ---------------------------
+function getLocalStorageBytes() {
+    let chars = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        chars += key.length + (localStorage.getItem(key) || '').length;
+    }
+    return chars * 2; // UTF-16
+}
+
+function getImageStoreBytes() {
+    return imageStoreRequest('readonly', store => store.getAll())
+        .then(records => records.reduce((sum, r) => sum + (r.size || 0), 0))
+        .catch(() => 0);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function updateStorageIndicator() {
+    const indicator = document.getElementById('storage-indicator');
+    if (!indicator) return Promise.resolve();
+
+    const localBytes = getLocalStorageBytes();
+    return getImageStoreBytes().then(imageBytes => {
+        const ratio = Math.min(localBytes / LOCAL_STORAGE_QUOTA, 1);
+        const bar = indicator.querySelector('.storage-bar-fill');
+        const label = indicator.querySelector('.storage-label');
+
+        if (bar) bar.style.width = `${Math.round(ratio * 100)}%`;
+        if (label) label.textContent = `${formatBytes(localBytes)} notes · ${formatBytes(imageBytes)} images`;
+
+        indicator.classList.toggle('warning', ratio > 0.8);
+        indicator.title = `Notes: ${formatBytes(localBytes)} of ~${formatBytes(LOCAL_STORAGE_QUOTA)} browser storage\n` +
+            `Images: ${formatBytes(imageBytes)} (IndexedDB)`;
+    });
+}
+
+function scheduleStorageIndicatorUpdate() {
+    clearTimeout(storageIndicatorTimer);
+    storageIndicatorTimer = setTimeout(updateStorageIndicator, 500);
+}
+
+// Called by saveData() when localStorage refuses a write
+function reportSaveFailure(error) {
+    console.error('MindFlow: Could not save changes', error);
+
+    const indicator = document.getElementById('storage-indicator');
+    if (indicator) {
+        indicator.classList.add('error');
+        const label = indicator.querySelector('.storage-label');
+        if (label) label.textContent = 'Not saved: storage full';
+    }
+
+    // One alert per session; the indicator stays red until a save succeeds
+    if (!saveFailureReported) {
+        saveFailureReported = true;
+        alert('MindFlow could not save your latest changes because browser storage is full. ' +
+            'Export your workspace or delete unused boards to free space.');
+    }
+}
+
+function clearSaveFailure() {
+    if (!saveFailureReported) return;
+    saveFailureReported = false;
+    document.getElementById('storage-indicator')?.classList.remove('error');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    openImageDB()
+        .then(internalizeAllBoards)
+        .then(collectImageGarbage)
+        .catch(e => console.warn('MindFlow: Image storage unavailable, keeping images inline.', e))
+        .then(updateStorageIndicator);
+});
@@ -0,0 +1,219 @@
+// MindFlow - Task <-> Node Links
+// A task may point at one note: `task.link = { boardId, nodeId }`.
+// Tasks stay global; the board id tells which map the note lives on.
+
+// ---------------------------
+// Queries
+// ---------------------------
+function isTaskLinkedTo(task, boardId, nodeId) {
+    return Boolean(task.link && task.link.boardId === boardId && task.link.nodeId === nodeId);
+}
+
+function getLinkedTasks(nodeId, boardId = state.activeBoardId) {
+    return state.globalTasks.filter(t => isTaskLinkedTo(t, boardId, nodeId));
+}
+
+function getNodeTaskCounts(nodeId) {
+    const tasks = getLinkedTasks(nodeId);
+    const done = tasks.filter(t => t.done).length;
+    return { open: tasks.length - done, done: done };
+}
+
+// Short label for a note, used on task chips and prompts
+function getNodeLabel(node) {
+    if (!node) return 'Missing note';
+    if (node.type === 'image') return 'Image';
+    const firstLine = (node.content || '').split('\n').find(line => line.trim()) || 'Untitled note';
+    return firstLine.trim().slice(0, 40);
+}
+
+// ---------------------------
+// Mutations
+// ---------------------------
+// One undo step: the task is created already linked
+function createLinkedTask(nodeId, text) {
+    if (!state.nodes.some(n => n.id === nodeId)) return null;
+    return addGlobalTask(text, 'medium', null, { boardId: state.activeBoardId, nodeId: nodeId });
+}
+
+function linkTaskToNode(taskId, nodeId) {
+    const task = state.globalTasks.find(t => t.id === taskId);
+    if (!task || !state.nodes.some(n => n.id === nodeId)) return;
+
+    task.link = { boardId: state.activeBoardId, nodeId: nodeId };
+    saveData();
+    renderGlobalTasks();
+    pushHistory('Link task', { touched: { task: [taskId] } });
+}
+
+function unlinkTask(taskId) {
+    const task = state.globalTasks.find(t => t.id === taskId);
+    if (!task || !task.link) return;
+
+    task.link = null;
+    saveData();
+    renderGlobalTasks();
+    pushHistory('Unlink task', { touched: { task: [taskId] } });
+}
+
+// Ask what happens to tasks linked to notes about to be deleted.
+// Call after the user confirmed deleting the notes themselves.
+function resolveLinkedTasksOnDelete(nodeIds) {
+    const ids = new Set(nodeIds);
+    const linked = state.globalTasks.filter(t =>
+        t.link && t.link.boardId === state.activeBoardId && ids.has(t.link.nodeId));
+    if (linked.length === 0) return;
+
+    const deleteTasks = confirm(
+        `${linked.length} task(s) are linked to ${ids.size > 1 ? 'these notes' : 'this note'}.\n\n` +
+        'OK: delete the tasks too.\nCancel: keep them as unlinked tasks.'
+    );
+
+    if (deleteTasks) {
+        const doomed = new Set(linked.map(t => t.id));
+        state.globalTasks = state.globalTasks.filter(t => !doomed.has(t.id));
+    } else {
+        linked.forEach(t => { t.link = null; });
+    }
+    renderGlobalTasks();
+}
+
+// Tasks linked to a deleted board lose their link (the notes are gone)
+function unlinkTasksForBoard(boardId) {
+    state.globalTasks.forEach(t => {
+        if (t.link && t.link.boardId === boardId) t.link = null;
+    });
+}
+
+// ---------------------------
+// Navigation
+// ---------------------------
+// Switch to the map (and board) holding the task's note and fly to it
+function openLinkedNode(taskId) {
+    const task = state.globalTasks.find(t => t.id === taskId);
+    if (!task || !task.link) return;
+
+    const { boardId, nodeId } = task.link;
+    if (!state.boards.some(b => b.id === boardId)) {
+        alert('The board for this note no longer exists.');
+        return;
+    }
+    if (boardId !== state.activeBoardId) switchBoard(boardId);
+
+    if (!state.nodes.some(n => n.id === nodeId)) {
+        alert('The linked note no longer exists.');
+        return;
+    }
+
+    window.switchView('canvas');
+    focusNode(nodeId);
+}
+
+// Animate the viewport so the node sits in the middle of the screen
+function focusNode(nodeId, scale = Math.max(state.view.targetScale, 1)) {
+    const node = state.nodes.find(n => n.id === nodeId);
+    if (!node) return;
+
+    const { width, height } = getNodeSize(node);
+    const cx = (node.targetX ?? node.x) + width / 2;
+    const cy = (node.targetY ?? node.y) + height / 2;
+
+    state.view.targetScale = scale;
+    state.view.targetX = window.innerWidth / 2 - cx * scale;
+    state.view.targetY = window.innerHeight / 2 - cy * scale;
+    scheduleViewSave();
+
+    selectNode(nodeId);
+}
+
+// ---------------------------
+// Rendering
+// ---------------------------
+// Badge on a node element with its open / done task counts
+function renderNodeTaskBadge(nodeEl, nodeId) {
+    let badge = nodeEl.querySelector('.node-task-badge');
+    const { open, done } = getNodeTaskCounts(nodeId);
+
+    if (open === 0 && done === 0) {
+        badge?.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.className = 'node-task-badge';
+        badge.onmousedown = (e) => e.stopPropagation();
+        badge.onclick = (e) => {
+            e.stopPropagation();
+            showLinkedTasks(nodeId);
+        };
+        nodeEl.appendChild(badge);
+    }
+
+    badge.classList.toggle('all-done', open === 0);
+    badge.textContent = `☐ ${open} · ✓ ${done}`;
+    badge.title = `${open} open, ${done} done task(s) — click to show`;
+}
+
+function refreshNodeTaskBadges() {
+    if (!nodeContainer) return;
+    state.nodes.forEach(node => {
+        const el = document.getElementById(node.id);
+        if (el) renderNodeTaskBadge(el, node.id);
+    });
+}
+
+// Jump from a note's badge to its first linked task in the Tasks view
+function showLinkedTasks(nodeId) {
+    const tasks = getLinkedTasks(nodeId);
+    if (tasks.length === 0) return;
+
+    setTaskFilter('all');
+    window.switchView('tasks');
+
+    const first = document.querySelector(`[data-task-id="${CSS.escape(tasks[0].id)}"]`);
+    if (first) {
+        first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        tasks.forEach(t => {
+            const el = document.querySelector(`[data-task-id="${CSS.escape(t.id)}"]`);
+            if (el) {
+                el.classList.add('flash');
+                setTimeout(() => el.classList.remove('flash'), 1200);
+            }
+        });
+    }
+}
+
+// Look a linked note up by board. nodeMaps holds one id -> node map per
+// board, filled on first use, so a render pass reads each board once.
+function findLinkedNode(link, nodeMaps) {
+    if (!nodeMaps.has(link.boardId)) {
+        let nodes = [];
+        if (link.boardId === state.activeBoardId) nodes = state.nodes;
+        else if (state.boards.some(b => b.id === link.boardId)) {
+            const stored = readStoredJSON(boardKey(link.boardId, 'nodes'), []);
+            if (Array.isArray(stored)) nodes = stored;
+        }
+        nodeMaps.set(link.boardId, new Map(nodes.map(n => [n.id, n])));
+    }
+    return nodeMaps.get(link.boardId).get(link.nodeId) || null;
+}
+
+// Chip inside a task row that leads to its note
+function createTaskLinkChip(task, nodeMaps = new Map()) {
+    const board = state.boards.find(b => b.id === task.link.boardId);
+    const node = findLinkedNode(task.link, nodeMaps);
+
+    const chip = document.createElement('button');
+    chip.className = 'task-link-chip';
+    if (!node) chip.classList.add('broken');
+    chip.textContent = `🔗 ${getNodeLabel(node)}`;
+    chip.title = board && board.id !== state.activeBoardId
+        ? `Open note on board "${board.name}"`
+        : 'Open note on the map';
+    chip.onclick = (e) => {
+        e.stopPropagation();
+        openLinkedNode(task.id);
+    };
+    return chip;
+}
@@ -0,0 +1,138 @@
+// MindFlow - Touch Gestures (pinch, two-finger pan, long press)
+// The canvas handlers in main.js take pointer events from mouse, pen and
+// touch alike; one finger behaves like the left mouse button. This file
+// adds what a mouse can't express: two fingers pan and pinch-zoom around
+// the point between them, and holding a finger or pen still opens the
+// context menu that a right-click would.
+
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP = 10; // Screen px a finger may wander before it's a drag
+
+const touchPointers = new Map(); // pointerId -> { x, y } for fingers on the canvas
+let pinch = null; // { distance, x, y } of the two fingers when last seen
+let longPress = null; // { timer, pointerId, x, y }
+let suppressNextClick = false;
+
+// ---------------------------
+// Pinch & Two-Finger Pan
+// ---------------------------
+function getPinchState() {
+    const [a, b] = [...touchPointers.values()];
+    return {
+        distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+}
+
+// The trackTouch* functions run first in the main pointer handlers and
+// return true when they used up the event.
+function trackTouchPointerDown(e) {
+    if (e.pointerType !== 'touch') return false;
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touchPointers.size < 2) return false;
+
+    // A second finger: whatever the first one started becomes a pinch
+    cancelLongPress();
+    cancelDrag();
+    if (!pinch) pinch = getPinchState();
+    return true;
+}
+
+function trackTouchPointerMove(e) {
+    if (longPress && e.pointerId === longPress.pointerId &&
+        Math.hypot(e.clientX - longPress.x, e.clientY - longPress.y) > LONG_PRESS_SLOP) {
+        cancelLongPress();
+    }
+
+    if (!touchPointers.has(e.pointerId)) return false;
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinch || touchPointers.size < 2) return Boolean(pinch);
+
+    const next = getPinchState();
+    zoomToPoint(state.view.targetScale * (next.distance / pinch.distance - 1), next.x, next.y);
+    state.view.targetX += next.x - pinch.x;
+    state.view.targetY += next.y - pinch.y;
+    pinch = next;
+    return true;
+}
+
+function trackTouchPointerUp(e) {
+    if (longPress && e.pointerId === longPress.pointerId) cancelLongPress();
+    if (!touchPointers.delete(e.pointerId)) return false;
+    if (!pinch) return false;
+
+    // The pinch is over once every finger has lifted
+    if (touchPointers.size === 0) {
+        pinch = null;
+        saveView();
+    } else if (touchPointers.size >= 2) {
+        pinch = getPinchState();
+    }
+    return true;
+}
+
+// ---------------------------
+// Long Press = Context Menu
+// ---------------------------
+function startLongPress(e) {
+    cancelLongPress();
+    const target = e.target;
+    const x = e.clientX;
+    const y = e.clientY;
+
+    longPress = {
+        pointerId: e.pointerId,
+        x: x,
+        y: y,
+        timer: setTimeout(() => {
+            longPress = null;
+            // Editing started during the press (the field took focus)
+            const field = target.closest('textarea, input');
+            if (field && field === document.activeElement) return;
+            // The press may have nudged a card or begun a marquee
+            cancelDrag();
+            openContextMenuFor(target, x, y);
+            // Lifting the finger clicks, which would close the menu again
+            suppressNextClick = true;
+        }, LONG_PRESS_MS)
+    };
+}
+
+// Only the canvas and task rows have a context menu. Buttons keep the
+// press for tapping, and a field being edited keeps it for selecting
+// text; a card's text fills the card, so while it isn't being edited a
+// press on it is a press on the card.
+function canLongPress(target) {
+    if (!target.closest('#mindflow-container, #global-task-list')) return false;
+    if (target.closest('button, select')) return false;
+
+    const field = target.closest('textarea, input, [contenteditable]:not([contenteditable="false"])');
+    if (!field) return true;
+    return Boolean(field.closest('.node')) && field !== document.activeElement;
+}
+
+function cancelLongPress() {
+    if (!longPress) return;
+    clearTimeout(longPress.timer);
+    longPress = null;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Capture phase: card drags stop the event from reaching the window
+    window.addEventListener('pointerdown', (e) => {
+        suppressNextClick = false;
+        if (e.pointerType === 'mouse' || !canLongPress(e.target)) return;
+        startLongPress(e);
+    }, true);
+
+    // Some browsers send their own contextmenu on long press
+    window.addEventListener('contextmenu', cancelLongPress);
+
+    window.addEventListener('click', (e) => {
+        if (!suppressNextClick) return;
+        suppressNextClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+    }, true);
+});
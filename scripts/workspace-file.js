@@ -0,0 +1,342 @@
+// MindFlow - Workspace Export / Import (.mindflow.json)
+
+const WORKSPACE_FILE_FORMAT = 'mindflow-workspace';
+const WORKSPACE_FILE_VERSION = 1;
+
+const NODE_TYPES = Object.keys(NODE_DEFAULT_SIZES); // text, image, frame
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Pending import, held while the summary dialog is open
+let pendingImport = null;
+
+// ---------------------------
+// Export
+// ---------------------------
+// Resolves with the file contents; stored images are embedded as data URLs
+function buildWorkspaceFile() {
+    // Same shape saveData() persists: targets are the resting positions
+    const nodePromises = state.nodes.map(n => {
+        const { targetX, targetY, imageHash, ...rest } = n;
+        const node = {
+            ...rest,
+            x: targetX !== undefined ? targetX : n.x,
+            y: targetY !== undefined ? targetY : n.y
+        };
+        if (n.type !== 'image') return Promise.resolve(node);
+        return getNodeImageDataURL(n).then(src => ({ ...node, src: src || '' }));
+    });
+
+    return Promise.all(nodePromises).then(nodes => ({
+        format: WORKSPACE_FILE_FORMAT,
+        version: WORKSPACE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        board: {
+            name: getActiveBoard()?.name || 'My Board',
+            routing: getBoardRouting().style,
+            avoidNodes: getBoardRouting().avoid
+        },
+        theme: document.body.classList.contains('dark-mode') ? 'dark' : 'light',
+        view: getViewSnapshot(),
+        nodes: nodes,
+        connections: state.connections.map(c => ({ ...c })),
+        tasks: state.globalTasks.map(t => ({ ...t }))
+    }));
+}
+
+function exportWorkspace() {
+    return buildWorkspaceFile().then(data => {
+        const filename = `${slugify(data.board.name)}.mindflow.json`;
+        downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+    });
+}
+
+// ---------------------------
+// Validation
+// ---------------------------
+// Returns { errors: string[], data } where data is the normalized file
+function validateWorkspaceFile(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { errors: ['File does not contain a JSON object.'], data: null };
+    }
+    if (raw.format !== WORKSPACE_FILE_FORMAT) {
+        return { errors: ['Not a MindFlow workspace file.'], data: null };
+    }
+    if (!Number.isInteger(raw.version) || raw.version < 1) {
+        return { errors: ['Missing or invalid schema version.'], data: null };
+    }
+    if (raw.version > WORKSPACE_FILE_VERSION) {
+        return { errors: [`File uses schema version ${raw.version}; this app supports up to ${WORKSPACE_FILE_VERSION}.`], data: null };
+    }
+
+    const nodes = Array.isArray(raw.nodes) ? raw.nodes : null;
+    const connections = Array.isArray(raw.connections) ? raw.connections : null;
+    const tasks = raw.tasks === undefined ? [] : (Array.isArray(raw.tasks) ? raw.tasks : null);
+
+    if (!nodes) errors.push('"nodes" must be an array.');
+    if (!connections) errors.push('"connections" must be an array.');
+    if (!tasks) errors.push('"tasks" must be an array.');
+    if (errors.length) return { errors, data: null };
+
+    // Nodes
+    const nodeIds = new Set();
+    nodes.forEach((n, i) => {
+        const label = `Node #${i + 1}`;
+        if (!n || typeof n !== 'object') {
+            errors.push(`${label}: not an object.`);
+            return;
+        }
+        if (typeof n.id !== 'string' || !n.id) errors.push(`${label}: missing id.`);
+        else if (nodeIds.has(n.id)) errors.push(`${label}: duplicate id "${n.id}".`);
+        else nodeIds.add(n.id);
+
+        if (!NODE_TYPES.includes(n.type)) errors.push(`${label}: unknown type "${n.type}".`);
+        if (!isFiniteNum(n.x) || !isFiniteNum(n.y)) errors.push(`${label}: x/y must be numbers.`);
+        if (n.width !== undefined && !isFiniteNum(n.width)) errors.push(`${label}: width must be a number.`);
+        if (n.height !== undefined && !isFiniteNum(n.height)) errors.push(`${label}: height must be a number.`);
+        if (n.type !== 'image' && n.content !== undefined && typeof n.content !== 'string') {
+            errors.push(`${label}: content must be text.`);
+        }
+        if (n.type === 'image' && typeof n.src !== 'string') errors.push(`${label}: image is missing its source.`);
+    });
+
+    // Frame membership must stay inside the file: on merge, an id that
+    // isn't remapped could land in a frame already on the board
+    const frameIds = new Set(nodes.filter(n => n && n.type === 'frame').map(n => n.id));
+    nodes.forEach((n, i) => {
+        if (n && n.frameId != null && !frameIds.has(n.frameId)) {
+            errors.push(`Node #${i + 1}: unknown frame "${n.frameId}".`);
+        }
+    });
+
+    // Connections
+    connections.forEach((c, i) => {
+        const label = `Connection #${i + 1}`;
+        if (!c || typeof c !== 'object') {
+            errors.push(`${label}: not an object.`);
+            return;
+        }
+        if (!nodeIds.has(c.from)) errors.push(`${label}: unknown start node "${c.from}".`);
+        if (!nodeIds.has(c.to)) errors.push(`${label}: unknown end node "${c.to}".`);
+        if (c.from === c.to) errors.push(`${label}: connects a node to itself.`);
+    });
+
+    // Tasks
+    const taskIds = new Set();
+    tasks.forEach((t, i) => {
+        const label = `Task #${i + 1}`;
+        if (!t || typeof t !== 'object') {
+            errors.push(`${label}: not an object.`);
+            return;
+        }
+        if (typeof t.id !== 'string' || !t.id) errors.push(`${label}: missing id.`);
+        else if (taskIds.has(t.id)) errors.push(`${label}: duplicate id "${t.id}".`);
+        else taskIds.add(t.id);
+
+        if (typeof t.text !== 'string') errors.push(`${label}: text must be a string.`);
+        if (typeof t.done !== 'boolean') errors.push(`${label}: done must be true or false.`);
+        if (t.priority !== undefined && !TASK_PRIORITIES.includes(t.priority)) {
+            errors.push(`${label}: unknown priority "${t.priority}".`);
+        }
+        if (t.dueDate != null && (typeof t.dueDate !== 'string' || isNaN(new Date(t.dueDate)))) {
+            errors.push(`${label}: invalid due date.`);
+        }
+        if (t.link != null && (typeof t.link !== 'object' ||
+            typeof t.link.boardId !== 'string' || typeof t.link.nodeId !== 'string')) {
+            errors.push(`${label}: invalid note link.`);
+        }
+    });
+
+    if (errors.length) return { errors, data: null };
+
+    const view = raw.view && isFiniteNum(raw.view.x) && isFiniteNum(raw.view.y) && isFiniteNum(raw.view.scale)
+        ? { x: raw.view.x, y: raw.view.y, scale: raw.view.scale }
+        : null;
+
+    return {
+        errors: [],
+        data: {
+            version: raw.version,
+            exportedAt: raw.exportedAt || null,
+            boardName: raw.board && typeof raw.board.name === 'string' ? raw.board.name : null,
+            routing: raw.board && ROUTE_STYLES.includes(raw.board.routing)
+                ? { routing: raw.board.routing, avoidNodes: Boolean(raw.board.avoidNodes) }
+                : null,
+            theme: raw.theme === 'dark' || raw.theme === 'light' ? raw.theme : null,
+            view: view,
+            nodes: nodes,
+            connections: connections,
+            tasks: tasks
+        }
+    };
+}
+
+// ---------------------------
+// Import
+// ---------------------------
+function importWorkspaceFile(file) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        let raw;
+        try {
+            raw = JSON.parse(event.target.result);
+        } catch (e) {
+            alert('Import failed: the file is not valid JSON.');
+            return;
+        }
+
+        const { errors, data } = validateWorkspaceFile(raw);
+        if (errors.length) {
+            const shown = errors.slice(0, 8).join('\n');
+            const more = errors.length > 8 ? `\n…and ${errors.length - 8} more.` : '';
+            alert(`Import failed:\n${shown}${more}`);
+            return;
+        }
+
+        openImportDialog(file.name, data);
+    };
+    reader.readAsText(file);
+}
+
+function openImportDialog(filename, data) {
+    pendingImport = data;
+
+    const dialog = document.getElementById('import-dialog');
+    const summary = document.getElementById('import-summary');
+    if (!dialog || !summary) return;
+
+    const lines = [
+        ['File', filename],
+        ['Board', data.boardName || '—'],
+        ['Exported', data.exportedAt ? new Date(data.exportedAt).toLocaleString() : '—'],
+        ['Notes', String(data.nodes.length)],
+        ['Connections', String(data.connections.length)],
+        ['Tasks', String(data.tasks.length)]
+    ];
+
+    summary.innerHTML = '';
+    lines.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'key-combo';
+        const l = document.createElement('span');
+        l.textContent = label;
+        const v = document.createElement('strong');
+        v.textContent = value;
+        row.append(l, v);
+        summary.appendChild(row);
+    });
+
+    dialog.classList.add('visible');
+}
+
+function closeImportDialog() {
+    pendingImport = null;
+    document.getElementById('import-dialog')?.classList.remove('visible');
+}
+
+// Gives every imported node/task an id that is unused in `taken`
+function remapIds(items, taken, prefix) {
+    const map = new Map();
+    items.forEach((item, i) => {
+        let id = item.id;
+        if (taken.has(id)) {
+            id = `${prefix}_${Date.now()}_${i}`;
+        }
+        taken.add(id);
+        map.set(item.id, id);
+    });
+    return map;
+}
+
+function applyImport(mode) {
+    const data = pendingImport;
+    if (!data) return;
+    closeImportDialog();
+
+    // Fill the same defaults the load-time migrations guarantee
+    const prepareNode = (n, id) => {
+        const { record } = normalizeNode({ ...n, id: id });
+        return { ...record, targetX: record.x, targetY: record.y };
+    };
+    data.tasks = data.tasks.map(t => normalizeTask(t).record);
+    const fileIds = new Set(data.nodes.map(n => n.id));
+    data.connections = data.connections.map(c => normalizeConnection(c, fileIds).record);
+
+    // Links to notes in the file follow them onto this board; links to
+    // other local boards survive; anything else is dropped
+    const relink = (task, nodeIdMap) => {
+        if (!task.link) return task;
+        if (fileIds.has(task.link.nodeId)) {
+            return { ...task, link: { boardId: state.activeBoardId, nodeId: nodeIdMap(task.link.nodeId) } };
+        }
+        const known = state.boards.some(b => b.id === task.link.boardId && b.id !== state.activeBoardId);
+        return known ? task : { ...task, link: null };
+    };
+
+    // Embedded images move into the blob store first, so they are never
+    // written to localStorage (and can't fill it up on the way)
+    const nodes = data.nodes.map(n => ({ ...n }));
+    internalizeNodeImages(nodes).then(() => {
+        if (mode === 'replace') {
+            state.nodes = nodes.map(n => prepareNode(n, n.id));
+            state.connections = data.connections.map(c => ({ ...c }));
+            state.globalTasks = data.tasks.map(t => relink({ ...t }, id => id));
+            if (data.view) applyView(data.view);
+            if (data.theme) applyTheme(data.theme === 'dark');
+            if (data.routing) setBoardRouting(data.routing);
+        } else {
+            const nodeMap = remapIds(nodes, new Set(state.nodes.map(n => n.id)), 'node');
+            const taskMap = remapIds(data.tasks, new Set(state.globalTasks.map(t => t.id)), 'task');
+
+            nodes.forEach(n => {
+                const node = n.frameId != null ? { ...n, frameId: nodeMap.get(n.frameId) } : n;
+                state.nodes.push(prepareNode(node, nodeMap.get(n.id)));
+            });
+            data.connections.forEach(c => {
+                state.connections.push({ ...c, id: newConnectionId(), from: nodeMap.get(c.from), to: nodeMap.get(c.to) });
+            });
+            data.tasks.forEach(t => state.globalTasks.push(relink({ ...t, id: taskMap.get(t.id) }, id => nodeMap.get(id))));
+        }
+
+        state.selection.clear();
+        saveData();
+        renderNodes();
+        renderConnections();
+        renderGlobalTasks();
+        pushHistory('Import workspace');
+        scheduleImageGarbageCollection();
+    });
+}
+
+window.handleWorkspaceAction = function (action) {
+    closeContextMenu();
+
+    switch (action) {
+        case 'export':
+            exportWorkspace();
+            break;
+        case 'import':
+            document.getElementById('import-file-input')?.click();
+            break;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('import-file-input');
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) importWorkspaceFile(file);
+            fileInput.value = ''; // Allow re-importing the same file
+        });
+    }
+
+    document.getElementById('btn-import-merge')?.addEventListener('click', () => applyImport('merge'));
+    document.getElementById('btn-import-replace')?.addEventListener('click', () => {
+        if (confirm('Replace the current board and task list with the imported data?')) {
+            applyImport('replace');
+        }
+    });
+    document.getElementById('btn-import-cancel')?.addEventListener('click', closeImportDialog);
+});
@@ -0,0 +1,313 @@
+// MindFlow - Hostile Input Check
+// Open tests/hostile-inputs.html in a browser (from disk or any static
+// server). The page loads the app scripts against a bare page, then feeds
+// markup, quote-breaking ids and unsafe image URLs through the card and
+// task renderers, the .canvas, OPML and Markdown readers and the clipboard
+// sanitizer. A check fails if any payload produced an element, an on*
+// attribute or a loadable unsafe URL, or if any payload code ran. Results
+// are listed on the page and in the console; the title starts with PASS
+// or FAIL.
+
+// ---------------------------
+// Sandbox
+// ---------------------------
+// Runs before the app scripts: the real boards must not be read or
+// overwritten, and the image store must not be cleaned up against the
+// empty board list this page starts with.
+class MemoryStorage {
+    getItem(key) { return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null; }
+    setItem(key, value) { this[key] = String(value); }
+    removeItem(key) { delete this[key]; }
+    clear() { Object.keys(this).forEach(key => delete this[key]); }
+    key(index) { return Object.keys(this)[index] ?? null; }
+    get length() { return Object.keys(this).length; }
+}
+
+Object.defineProperty(window, 'localStorage', { value: new MemoryStorage(), configurable: true });
+Object.defineProperty(window, 'indexedDB', { value: undefined, configurable: true });
+window.alert = (message) => console.log('[alert]', message);
+window.confirm = () => true;
+window.prompt = () => null;
+
+// Any payload that gets to run sets this
+window.hostilePayloadRan = false;
+const RAN = 'window.hostilePayloadRan=true';
+
+// ---------------------------
+// Payloads
+// ---------------------------
+const HOSTILE_TEXT = [
+    `</textarea><img src=x onerror="${RAN}">`,
+    `<script>${RAN}</script>`,
+    `"><svg onload="${RAN}">`,
+    `'><iframe src="javascript:${RAN}"></iframe>`,
+    `</span></div><a href="javascript:${RAN}">link</a>`,
+    `&lt;img src=x onerror=${RAN}&gt; &amp;`
+];
+
+const HOSTILE_IDS = [
+    `a" onmouseover="${RAN}`,
+    `b' onfocus='${RAN}' autofocus x='`,
+    `</div><img src=x onerror="${RAN}">`,
+    `n1'); ${RAN}; ('`
+];
+
+const HOSTILE_URLS = [
+    `javascript:${RAN}`,
+    ` JaVaScRiPt:${RAN}`,
+    `java\tscript:${RAN}`,
+    `java\nscript:${RAN}`,
+    `java\r\nscript:${RAN}`,
+    `\u0001javascript:${RAN}`,
+    `data:text/html,<script>${RAN}</script>`,
+    'DATA:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    `da\tta:text/html,<script>${RAN}</script>`,
+    'vbscript:msgbox(1)',
+    'http://example.com/a.png',
+    '//example.com/a.png',
+    `x" onerror="${RAN}`
+];
+
+const SAFE_URLS = [
+    'https://example.com/a.png',
+    'data:image/png;base64,iVBORw0KGgo=',
+    'blob:https://example.com/0f1e2d3c'
+];
+
+// Every kind of card, each carrying payloads where user text goes
+function getHostileNodes() {
+    const nodes = [];
+    HOSTILE_TEXT.forEach((text, i) => {
+        nodes.push({ id: `text-${i}`, type: 'text', x: 0, y: 0, content: text, color: 'white' });
+        nodes.push({ id: `frame-${i}`, type: 'frame', x: 0, y: 0, width: 400, height: 300, content: text, color: 'white' });
+    });
+    HOSTILE_IDS.forEach((id, i) => {
+        nodes.push({ id, type: 'text', x: 0, y: 0, content: `Card ${i}`, color: `white" onclick="${RAN}` });
+    });
+    HOSTILE_URLS.forEach((src, i) => {
+        nodes.push({ id: `image-${i}`, type: 'image', x: 0, y: 0, src, alt: HOSTILE_TEXT[i % HOSTILE_TEXT.length], color: 'white' });
+    });
+    return nodes;
+}
+
+function getHostileConnections() {
+    return HOSTILE_TEXT.map((label, i) => ({
+        id: HOSTILE_IDS[i % HOSTILE_IDS.length] + i,
+        from: `text-${i}`,
+        to: HOSTILE_IDS[i % HOSTILE_IDS.length],
+        label,
+        color: `red" onclick="${RAN}`
+    }));
+}
+
+// ---------------------------
+// Checks
+// ---------------------------
+const results = [];
+
+// `fn` returns a problem description, or '' when all is well
+function check(name, fn) {
+    try {
+        results.push({ name, problem: fn() || '' });
+    } catch (e) {
+        results.push({ name, problem: `threw ${e.message}` });
+    }
+}
+
+// Tag names under `root` in document order
+function describeMarkup(root) {
+    return Array.from(root.querySelectorAll('*')).map(el => el.tagName.toLowerCase()).join(' ');
+}
+
+// An element a payload could have smuggled in, an on* attribute, or an
+// image source that safeImageURL would refuse
+function findUnsafeMarkup(root) {
+    for (const el of [root, ...root.querySelectorAll('*')]) {
+        const handler = Array.from(el.attributes).find(attr => /^on/i.test(attr.name));
+        if (handler) return `<${el.tagName.toLowerCase()}> has ${handler.name}`;
+        if (el.matches('script, iframe, object, embed, a[href], [srcdoc]')) return `created <${el.tagName.toLowerCase()}>`;
+        const src = el.getAttribute('src') || el.getAttribute('href') || el.getAttribute('xlink:href');
+        if (src && !safeImageURL(src)) return `<${el.tagName.toLowerCase()}> loads ${JSON.stringify(src)}`;
+    }
+    return '';
+}
+
+// Render one card on its own and compare it with a plain card of its type
+function checkCard(node) {
+    const plain = createNodeElement({ id: 'plain-card', type: node.type, x: 0, y: 0, width: node.width, height: node.height, content: 'Plain', src: SAFE_URLS[0], alt: 'Plain', color: 'white' });
+    const expected = describeMarkup(plain);
+    plain.remove();
+
+    const div = createNodeElement(node);
+    try {
+        const unsafe = findUnsafeMarkup(div);
+        if (unsafe) return unsafe;
+        if (describeMarkup(div) !== expected) return 'markup differs from a plain card';
+        if (div.id !== node.id) return `element id ${JSON.stringify(div.id)}`;
+
+        if (node.type === 'text' && div.querySelector('textarea').value !== (node.content || '')) return 'note text changed';
+        if (node.type === 'frame' && div.querySelector('.frame-title').value !== (node.content || '')) return 'frame title changed';
+        if (node.type === 'image') {
+            const img = div.querySelector('img');
+            if (img.getAttribute('src') !== safeImageURL(node.src)) return `image src ${JSON.stringify(img.getAttribute('src'))}`;
+            if (img.alt !== (node.alt || '')) return 'alt text changed';
+        }
+        return '';
+    } finally {
+        div.remove();
+    }
+}
+
+// Put records on the board, render it, check, then restore the board
+function checkBoard(nodes, connections) {
+    const saved = { nodes: state.nodes, connections: state.connections, selection: state.selection };
+    state.nodes = nodes;
+    state.connections = connections;
+    state.selection = new Set(nodes.map(n => n.id));
+    try {
+        renderNodes();
+        renderConnections();
+        const problem = findUnsafeMarkup(nodeContainer) || findUnsafeMarkup(svgLayer);
+        if (problem) return problem;
+
+        const missing = nodes.find(n => !document.getElementById(n.id));
+        if (missing) return `card ${JSON.stringify(missing.id)} not found by id`;
+        const label = connections.find(c => c.label && !svgLayer.textContent.includes(c.label));
+        return label ? `label ${JSON.stringify(label.label)} not shown as text` : '';
+    } finally {
+        Object.assign(state, saved);
+        renderNodes();
+        renderConnections();
+    }
+}
+
+// Task rows carry payloads in their text, id, priority, due date and link
+function checkTasks() {
+    const saved = state.globalTasks;
+    const task = (id, text, priority, nodeId) => ({
+        id, text, priority, done: false, createdAt: 1, dueDate: text,
+        link: { boardId: state.activeBoardId, nodeId }
+    });
+    try {
+        state.globalTasks = [task('plain-task', 'Plain', 'medium', 'plain-card')];
+        renderGlobalTasks();
+        const list = document.getElementById('global-task-list');
+        const expected = describeMarkup(list);
+
+        for (let i = 0; i < HOSTILE_TEXT.length; i++) {
+            const text = HOSTILE_TEXT[i];
+            state.globalTasks = [task(HOSTILE_IDS[i % HOSTILE_IDS.length], text, `high" onclick="${RAN}`, HOSTILE_IDS[0])];
+            renderGlobalTasks();
+            const problem = findUnsafeMarkup(list);
+            if (problem) return problem;
+            if (describeMarkup(list) !== expected) return `markup differs from a plain task (${JSON.stringify(text)})`;
+            if (list.querySelector('.task-text').textContent !== text) return 'task text changed';
+        }
+        return '';
+    } finally {
+        state.globalTasks = saved;
+        renderGlobalTasks();
+    }
+}
+
+// Notes read from an outline file, rendered as cards
+function checkOutlineItems(items) {
+    if (!items || items.length === 0) return 'nothing was read';
+    const texts = [];
+    const collect = (item) => {
+        texts.push(item.text);
+        item.children.forEach(collect);
+    };
+    items.forEach(collect);
+
+    for (const text of texts) {
+        const problem = checkCard({ id: 'outline-card', type: 'text', x: 0, y: 0, content: text, color: 'white' });
+        if (problem) return `${problem} (${JSON.stringify(text)})`;
+    }
+    return '';
+}
+
+function runChecks() {
+    check('safeImageURL refuses unsafe URLs', () => {
+        const passed = HOSTILE_URLS.filter(url => safeImageURL(url) !== '');
+        return passed.length ? `allowed ${passed.map(url => JSON.stringify(url)).join(', ')}` : '';
+    });
+    check('safeImageURL keeps image URLs', () => {
+        const refused = SAFE_URLS.filter(url => safeImageURL(url) !== url);
+        return refused.length ? `refused ${refused.join(', ')}` : '';
+    });
+    check('safeImageURL ignores non-strings', () => [null, undefined, 42, {}, ['https:x']].some(url => safeImageURL(url) !== '') ? 'accepted a non-string' : '');
+
+    getHostileNodes().forEach(node => {
+        check(`createNodeElement ${node.type} ${JSON.stringify(node.id)}`, () => checkCard(node));
+    });
+    check('renderNodes / renderConnections', () => checkBoard(getHostileNodes(), getHostileConnections()));
+    check('renderGlobalTasks', checkTasks);
+
+    check('.canvas import', () => {
+        const { nodes, connections } = readCanvasDocument({
+            nodes: [
+                { id: HOSTILE_IDS[0], type: 'text', text: HOSTILE_TEXT[0], x: 0, y: 0, width: 250, height: 120, color: `1" onload="${RAN}` },
+                { id: HOSTILE_IDS[1], type: 'group', label: HOSTILE_TEXT[1], x: -50, y: -50, width: 900, height: 400 },
+                ...HOSTILE_URLS.map((file, i) => ({ id: `file-${i}`, type: 'file', file, x: 300 + i * 10, y: 0, width: 200, height: 200 })),
+                { id: 'link', type: 'link', url: `javascript:${RAN}`, x: 600, y: 0, width: 200, height: 100 },
+                { id: 'nodes-container', type: 'text', text: 'Clashes with an app element', x: 0, y: 300 }
+            ],
+            edges: [
+                { id: HOSTILE_IDS[2], fromNode: HOSTILE_IDS[0], toNode: 'link', label: HOSTILE_TEXT[2], color: HOSTILE_TEXT[3] },
+                { id: 'edge-2', fromNode: 'link', toNode: HOSTILE_IDS[1], label: HOSTILE_TEXT[4] }
+            ]
+        });
+        if (nodes.some(n => n.type === 'image')) return 'an unsafe file became an image card';
+        return checkBoard(nodes, connections);
+    });
+
+    check('OPML import', () => {
+        const outlines = HOSTILE_TEXT.map((text, i) => `<outline text="${escapeXML(text)}" _note="${escapeXML(HOSTILE_TEXT[(i + 1) % HOSTILE_TEXT.length])}" _anchor="${escapeXML(HOSTILE_IDS[i % HOSTILE_IDS.length])}"><outline text="↪ x" _ref="${escapeXML(HOSTILE_IDS[0])}"/></outline>`);
+        const source = `<?xml version="1.0"?><opml version="2.0"><body>${outlines.join('')}<outline text="a"><script>${RAN}</script></outline></body></opml>`;
+        return checkOutlineItems(parseOPMLOutline(source));
+    });
+
+    check('Markdown import', () => {
+        const lines = HOSTILE_TEXT.map((text, i) => `- ${text} {#n${i}}\n  continued ${text}\n  - ↪ [${text}](#n${i})`);
+        return checkOutlineItems(parseMarkdownOutline(`# ${HOSTILE_TEXT[0]}\n${lines.join('\n')}`));
+    });
+
+    check('clipboard paste', () => {
+        const payload = sanitizeClipboardPayload({
+            format: CLIPBOARD_FORMAT,
+            nodes: [...getHostileNodes(), { id: HOSTILE_IDS[0], type: 'text', x: 0, y: 0, content: 'Duplicate id' }, { id: 42 }, null],
+            connections: [...getHostileConnections(), { from: `<img src=x onerror="${RAN}">`, to: 'text-0' }]
+        });
+        if (!payload) return 'payload was dropped entirely';
+        return checkBoard(payload.nodes, payload.connections);
+    });
+}
+
+// ---------------------------
+// Report
+// ---------------------------
+function report() {
+    const list = document.getElementById('results');
+    results.forEach(({ name, problem }) => {
+        htmlElement('li', { className: problem ? 'fail' : 'pass', text: problem ? `FAIL ${name}: ${problem}` : `PASS ${name}` }, list);
+    });
+
+    const failed = results.filter(r => r.problem);
+    const summary = failed.length ? `${failed.length} of ${results.length} checks failed` : `All ${results.length} checks passed`;
+    document.getElementById('summary').textContent = summary;
+    document.title = `${failed.length ? 'FAIL' : 'PASS'} | Hostile Input Check`;
+
+    console.log(`MindFlow hostile inputs: ${summary}`);
+    failed.forEach(({ name, problem }) => console.error(`FAIL ${name}: ${problem}`));
+}
+
+// After the app's own DOMContentLoaded setup
+window.addEventListener('load', () => {
+    runChecks();
+    // Give anything that slipped through (onerror, onload) time to fire
+    setTimeout(() => {
+        check('no payload ran', () => (window.hostilePayloadRan ? 'payload code executed' : ''));
+        report();
+    }, 500);
+});